@@ -4,7 +4,11 @@ const yargs = require('yargs');
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
+const fs = require('fs').promises;
 const ParamResolver = require('./src/resolver/ParamResolver');
+const ProtoMessageResolver = require('./src/resolver/ProtoMessageResolver');
+const Prefetcher = require('./src/resolver/Prefetcher');
+const Logger = require('./src/logging/Logger');
 
 // Load the proto definition
 const PROTO_PATH = path.join(__dirname, 'proto', 'gauge.proto');
@@ -19,8 +23,13 @@ const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
 const gaugeProto = grpc.loadPackageDefinition(packageDefinition).gauge.messages;
 
 class GaugeExternalParamsPlugin {
-    constructor() {
-        this.paramResolver = new ParamResolver();
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger();
+        this.paramResolver = new ParamResolver(options.configPath || null, {
+            logger: this.logger,
+            profile: options.profile
+        });
+        this.messageResolver = new ProtoMessageResolver(this.paramResolver);
         this.server = new grpc.Server();
     }
 
@@ -44,17 +53,45 @@ class GaugeExternalParamsPlugin {
     async handleExecutionStarting(call, callback) {
         try {
             await this.paramResolver.initialize();
+        } catch (error) {
+            callback(null, { 
+                executionResult: { 
+                    failed: true, 
+                    errorMessage: `Failed to initialize param resolver: ${this.maskSensitiveInfo(error.message)}` 
+                } 
+            });
+            return;
+        }
+        
+        try {
+            await this.prefetch();
             callback(null, { executionResult: { failed: false } });
         } catch (error) {
+            this.logger.error(`Prefetch failed: ${error.message}`);
             callback(null, { 
                 executionResult: { 
                     failed: true, 
-                    errorMessage: `Failed to initialize param resolver: ${error.message}` 
+                    errorMessage: `Prefetch failed: ${this.maskSensitiveInfo(error.message)}` 
                 } 
             });
         }
     }
 
+    // With prefetch.enabled, resolve every placeholder in the specs before
+    // the first one runs. Spec dirs are relative to the Gauge project.
+    async prefetch() {
+        const prefetchConfig = this.paramResolver.config.prefetch || {};
+        if (!prefetchConfig.enabled) {
+            return;
+        }
+        
+        const prefetcher = new Prefetcher(this.paramResolver, {
+            specDirs: prefetchConfig.specDirs,
+            projectRoot: process.env.GAUGE_PROJECT_ROOT
+        });
+        await prefetcher.run();
+    }
+
     async handleExecutionEnding(call, callback) {
         try {
             await this.paramResolver.cleanup();
@@ -65,18 +102,14 @@ class GaugeExternalParamsPlugin {
     }
 
     async handleSpecExecutionStarting(call, callback) {
-        try {
-            // Refresh caches for new spec
-            await this.paramResolver.refreshCaches();
-            callback(null, { executionResult: { failed: false } });
-        } catch (error) {
-            callback(null, { 
-                executionResult: { 
-                    failed: true, 
-                    errorMessage: `Failed to refresh caches: ${error.message}` 
-                } 
-            });
+        // Refresh caches for new spec, unless cache.refresh says otherwise
+        if (!await this.refreshCaches(callback, 'spec')) {
+            return;
         }
+        
+        await this.resolveMessage(callback, 'spec', async () => {
+            await this.messageResolver.resolveSpec(call.request.currentSpec);
+        });
     }
 
     async handleSpecExecutionEnding(call, callback) {
@@ -84,7 +117,15 @@ class GaugeExternalParamsPlugin {
     }
 
     async handleScenarioExecutionStarting(call, callback) {
-        callback(null, { executionResult: { failed: false } });
+        if (!await this.refreshCaches(callback, 'scenario')) {
+            return;
+        }
+        
+        await this.resolveMessage(callback, 'scenario', async () => {
+            // Other scenarios of the spec are resolved when they start
+            await this.messageResolver.resolveScenario(call.request.currentScenario);
+            await this.messageResolver.resolveSpecHeader(call.request.currentSpec);
+        });
     }
 
     async handleScenarioExecutionEnding(call, callback) {
@@ -92,28 +133,36 @@ class GaugeExternalParamsPlugin {
     }
 
     async handleStepExecutionStarting(call, callback) {
+        // Step text, fragments, parameter values and data table rows
+        await this.resolveMessage(callback, 'step', async () => {
+            await this.messageResolver.resolveStep(call.request.currentStep);
+        });
+    }
+
+    // Refresh at a cache.refresh point; a failure fails the execution and
+    // returns false
+    async refreshCaches(callback, point) {
         try {
-            const request = call.request;
-            if (request.currentStep && request.currentStep.actualText) {
-                const resolvedText = await this.paramResolver.resolveText(request.currentStep.actualText);
-                
-                // Update the step text with resolved parameters
-                request.currentStep.actualText = resolvedText;
-                request.currentStep.parsedText = resolvedText;
-                
-                // Update fragments if they exist
-                if (request.currentStep.fragments) {
-                    for (let fragment of request.currentStep.fragments) {
-                        if (fragment.text) {
-                            fragment.text = await this.paramResolver.resolveText(fragment.text);
-                        }
-                    }
-                }
-            }
-            
+            await this.paramResolver.refreshCachesAt(point);
+            return true;
+        } catch (error) {
+            callback(null, { 
+                executionResult: { 
+                    failed: true, 
+                    errorMessage: `Failed to refresh caches: ${this.maskSensitiveInfo(error.message)}` 
+                } 
+            });
+            return false;
+        }
+    }
+
+    // Run a resolution for a hook and report failures as a failed execution
+    async resolveMessage(callback, scope, resolve) {
+        try {
+            await resolve();
             callback(null, { executionResult: { failed: false } });
         } catch (error) {
-            console.error('Error resolving step parameters:', error.message);
+            this.logger.error(`Error resolving ${scope} parameters: ${error.message}`);
             callback(null, { 
                 executionResult: { 
                     failed: true, 
@@ -132,8 +181,8 @@ class GaugeExternalParamsPlugin {
     }
 
     maskSensitiveInfo(message) {
-        // Mask potential secrets in error messages
-        return message.replace(/([a-zA-Z0-9+/]{20,})/g, '****');
+        // Redact every value resolved from a secret source so far
+        return this.paramResolver.mask(message);
     }
 
     async start() {
@@ -160,7 +209,7 @@ class GaugeExternalParamsPlugin {
         return new Promise((resolve) => {
             this.server.tryShutdown((error) => {
                 if (error) {
-                    console.error('Error shutting down server:', error);
+                    this.logger.error(`Error shutting down server: ${error.message}`);
                 }
                 resolve();
             });
@@ -181,18 +230,124 @@ const argv = yargs
             describe: 'Output directory for processed specs',
             default: 'specs_resolved',
             type: 'string'
+        },
+        'dry-run': {
+            describe: 'List the files and lines that would change without writing anything',
+            type: 'boolean'
+        },
+        'diff': {
+            describe: 'Print a unified diff of the changes, with secrets masked, without writing anything',
+            type: 'boolean'
+        },
+        'force': {
+            describe: 'Rewrite every output, even those the manifest shows are up to date',
+            type: 'boolean'
+        },
+        'watch': {
+            alias: 'w',
+            describe: 'Keep running and re-resolve specs when they or the file source data change',
+            type: 'boolean',
+            conflicts: ['in-place', 'dry-run', 'diff']
+        },
+        'in-place': {
+            describe: 'Rewrite specs in the spec directory, backing up the originals for the restore command',
+            type: 'boolean',
+            conflicts: ['dry-run', 'diff']
+        },
+        'backup-dir': {
+            describe: 'Where --in-place keeps the original specs',
+            default: '.gauge-external-params-backup',
+            type: 'string'
+        },
+        'error-policy': {
+            describe: 'On unresolved placeholders: stop at the first file (fail-fast), fail after processing all files (collect) or copy the file unresolved (copy-original)',
+            choices: ['fail-fast', 'collect', 'copy-original'],
+            default: 'collect',
+            type: 'string'
+        }
+    })
+    .command('validate', 'Validate that all placeholders in spec files can be resolved', {
+        'spec-dir': {
+            describe: 'Directory containing spec files',
+            default: 'specs',
+            type: 'string'
+        },
+        'format': {
+            describe: 'Report format',
+            choices: ['text', 'json', 'junit'],
+            default: 'text',
+            type: 'string'
+        },
+        'output': {
+            alias: 'o',
+            describe: 'Write the report to a file instead of stdout',
+            type: 'string'
         }
     })
+    .command('stats', 'Report placeholder usage by source, file and key', {
+        'spec-dir': {
+            describe: 'Directory containing spec files',
+            default: 'specs',
+            type: 'string'
+        },
+        'format': {
+            describe: 'Report format',
+            choices: ['text', 'json', 'markdown'],
+            default: 'text',
+            type: 'string'
+        },
+        'output': {
+            alias: 'o',
+            describe: 'Write the report to a file instead of stdout',
+            type: 'string'
+        }
+    })
+    .command('restore', 'Restore specs rewritten by preprocess --in-place', {
+        'backup-dir': {
+            describe: 'Backup directory used by preprocess --in-place',
+            default: '.gauge-external-params-backup',
+            type: 'string'
+        }
+    })
+    .command('config <action>', 'Inspect the configuration file', (yargs) => yargs
+        .positional('action', {
+            describe: 'check: validate gauge-external-params.json against the schema',
+            choices: ['check'],
+            type: 'string'
+        }))
+    .command('cache <action>', 'Manage the persistent cache (cache.persistent)', (yargs) => yargs
+        .positional('action', {
+            describe: 'list: show cached keys and when they expire; clear: delete the cache file',
+            choices: ['list', 'clear'],
+            type: 'string'
+        }))
+    .option('config', {
+        alias: 'c',
+        describe: 'Config file (.json, .yaml, .yml or .js), defaults to GAUGE_EXTERNAL_PARAMS_CONFIG or gauge-external-params.* in the working directory',
+        type: 'string'
+    })
+    .option('profile', {
+        describe: 'Merge gauge-external-params.<profile>.* over the base config, defaults to the Gauge environment',
+        type: 'string'
+    })
     .option('verbose', {
         alias: 'v',
-        describe: 'Enable verbose logging',
+        describe: 'Enable debug logging, overriding logging.level',
         type: 'boolean'
     })
     .help()
     .argv;
 
 async function main() {
-    const plugin = new GaugeExternalParamsPlugin();
+    // Logs go to stderr; stdout carries only the port in plugin mode and
+    // reports for validate and stats
+    const logger = new Logger();
+    if (argv.verbose) {
+        logger.configure({ verbose: true });
+    }
+    
+    const resolverOptions = { logger, profile: argv.profile };
+    const plugin = new GaugeExternalParamsPlugin({ ...resolverOptions, configPath: argv.config });
     
     if (argv._[0] === 'start' || argv.start) {
         try {
@@ -200,31 +355,185 @@ async function main() {
             
             // Keep the process running
             process.on('SIGTERM', async () => {
-                console.error('Received SIGTERM, shutting down gracefully');
+                logger.info('Received SIGTERM, shutting down gracefully');
                 await plugin.stop();
                 process.exit(0);
             });
             
             process.on('SIGINT', async () => {
-                console.error('Received SIGINT, shutting down gracefully');
+                logger.info('Received SIGINT, shutting down gracefully');
                 await plugin.stop();
                 process.exit(0);
             });
             
         } catch (error) {
-            console.error('Failed to start plugin:', error.message);
+            logger.error(`Failed to start plugin: ${error.message}`);
             process.exit(1);
         }
     } else if (argv._[0] === 'preprocess') {
         // Import and run preprocessor
         const Preprocessor = require('./src/preprocessor/Preprocessor');
-        const preprocessor = new Preprocessor();
+        const preprocessor = new Preprocessor(argv.config, resolverOptions);
+        
+        try {
+            if (argv.watch) {
+                const PreprocessWatcher = require('./src/preprocessor/PreprocessWatcher');
+                const watcher = new PreprocessWatcher(preprocessor, argv['spec-dir'], argv['out-dir'], {
+                    force: argv.force,
+                    errorPolicy: argv['error-policy']
+                });
+                
+                const stop = async (signal) => {
+                    logger.info(`Received ${signal}, stopping watch`);
+                    await watcher.close();
+                    process.exit(0);
+                };
+                process.once('SIGINT', stop);
+                process.once('SIGTERM', stop);
+                
+                await watcher.start();
+            } else if (argv['in-place']) {
+                const result = await preprocessor.processInPlace(argv['spec-dir'], {
+                    backupDir: argv['backup-dir'],
+                    errorPolicy: argv['error-policy']
+                });
+                logger.info(`Preprocessing completed in place. Run 'restore --backup-dir ${result.backupDir}' to revert`);
+            } else if (argv['dry-run'] || argv.diff) {
+                const PreviewReporter = require('./src/reporters/PreviewReporter');
+                
+                // Unresolved placeholders fail as in a real run, after the
+                // preview of what did resolve is shown
+                let preview;
+                let failure = null;
+                try {
+                    preview = await preprocessor.processDirectory(argv['spec-dir'], argv['out-dir'], {
+                        dryRun: argv['dry-run'],
+                        diff: argv.diff,
+                        errorPolicy: argv['error-policy']
+                    });
+                } catch (error) {
+                    if (!error.preview) {
+                        throw error;
+                    }
+                    preview = error.preview;
+                    failure = error;
+                }
+                
+                process.stdout.write(new PreviewReporter(argv.diff ? 'diff' : 'list').render(preview));
+                if (argv.diff) {
+                    logger.info(PreviewReporter.summarize(preview));
+                }
+                if (failure) {
+                    throw failure;
+                }
+            } else {
+                await preprocessor.processDirectory(argv['spec-dir'], argv['out-dir'], {
+                    force: argv.force,
+                    errorPolicy: argv['error-policy']
+                });
+                logger.info(`Preprocessing completed. Output written to ${argv['out-dir']}`);
+            }
+        } catch (error) {
+            logger.error(`Preprocessing failed: ${error.message}`);
+            process.exit(1);
+        }
+    } else if (argv._[0] === 'restore') {
+        const Preprocessor = require('./src/preprocessor/Preprocessor');
+        
+        // The restore is synchronous; holding the signals just defers them
+        // until every original is back
+        const deferSignal = signal => logger.warn(`Received ${signal}, finishing restore first`);
+        process.on('SIGINT', deferSignal);
+        process.on('SIGTERM', deferSignal);
+        
+        try {
+            const restored = Preprocessor.restoreInPlace(argv['backup-dir']);
+            logger.info(`Restored ${restored.length} spec files from ${argv['backup-dir']}`);
+        } catch (error) {
+            logger.error(`Restore failed: ${error.message}`);
+            process.exit(1);
+        } finally {
+            process.removeListener('SIGINT', deferSignal);
+            process.removeListener('SIGTERM', deferSignal);
+        }
+    } else if (argv._[0] === 'validate') {
+        const Preprocessor = require('./src/preprocessor/Preprocessor');
+        const ValidationReporter = require('./src/reporters/ValidationReporter');
+        const preprocessor = new Preprocessor(argv.config, resolverOptions);
         
         try {
-            await preprocessor.processDirectory(argv['spec-dir'], argv['out-dir']);
-            console.log(`Preprocessing completed. Output written to ${argv['out-dir']}`);
+            const results = await preprocessor.validateSpecs(argv['spec-dir']);
+            const report = new ValidationReporter(argv.format).render(results);
+            
+            if (argv.output) {
+                await fs.writeFile(argv.output, report, 'utf8');
+                logger.info(`Validation report written to ${argv.output}`);
+            } else {
+                process.stdout.write(report);
+            }
+            
+            // Any unresolved required placeholder fails the run
+            if (results.errors.length > 0) {
+                process.exit(1);
+            }
+        } catch (error) {
+            logger.error(`Validation failed: ${error.message}`);
+            process.exit(1);
+        }
+    } else if (argv._[0] === 'stats') {
+        const Preprocessor = require('./src/preprocessor/Preprocessor');
+        const StatsReporter = require('./src/reporters/StatsReporter');
+        const preprocessor = new Preprocessor(argv.config, resolverOptions);
+        
+        try {
+            const stats = await preprocessor.getPlaceholderStatistics(argv['spec-dir']);
+            const report = new StatsReporter(argv.format).render(stats);
+            
+            if (argv.output) {
+                await fs.writeFile(argv.output, report, 'utf8');
+                logger.info(`Statistics report written to ${argv.output}`);
+            } else {
+                process.stdout.write(report);
+            }
+        } catch (error) {
+            logger.error(`Failed to gather statistics: ${error.message}`);
+            process.exit(1);
+        }
+    } else if (argv._[0] === 'config' && argv.action === 'check') {
+        const resolver = new ParamResolver(argv.config, resolverOptions);
+        const result = await resolver.checkConfig();
+        const lines = [];
+        
+        lines.push(`${result.errors.length === 0 ? '✓' : '✗'} ${result.files.length > 0 ? result.files.join(' + ') : result.configPath}`);
+        for (const error of result.errors) {
+            lines.push(`    error: ${error}`);
+        }
+        for (const warning of result.warnings) {
+            lines.push(`    warning: ${warning}`);
+        }
+        lines.push('');
+        lines.push(`Errors: ${result.errors.length}, warnings: ${result.warnings.length}`);
+        process.stdout.write(lines.join('\n') + '\n');
+        
+        if (result.errors.length > 0) {
+            process.exit(1);
+        }
+    } else if (argv._[0] === 'cache') {
+        const resolver = new ParamResolver(argv.config, resolverOptions);
+        
+        try {
+            if (argv.action === 'clear') {
+                const filePath = await resolver.clearPersistentCache();
+                logger.info(`Cleared persistent cache ${filePath}`);
+            } else {
+                const { filePath, entries } = await resolver.listPersistentCache();
+                const lines = entries.map(entry =>
+                    `${entry.source}\t${entry.key}\texpires ${new Date(entry.expiresAt).toISOString()}`);
+                lines.push(`${entries.length} cached value${entries.length === 1 ? '' : 's'} in ${filePath}`);
+                process.stdout.write(lines.join('\n') + '\n');
+            }
         } catch (error) {
-            console.error('Preprocessing failed:', error.message);
+            logger.error(`Cache ${argv.action} failed: ${error.message}`);
             process.exit(1);
         }
     } else {
@@ -0,0 +1,146 @@
+const DEFAULT_TTL = 60000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// In-memory cache used by the resolver and the sources. Entries expire after
+// a TTL in milliseconds, the least recently used entry is evicted beyond
+// `maxEntries`, and hits, misses, expirations and evictions are counted for
+// the stats logged at cleanup. A Map iterates in insertion order, so moving
+// an entry to the end on every hit keeps the least recently used one first.
+//
+// With `staleTtl`, an expired entry is kept that much longer for getStale(),
+// so a value can still be served when its source fails.
+class Cache {
+    constructor(options = {}) {
+        this.name = options.name || 'cache';
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, staleHits: 0, expirations: 0, evictions: 0 };
+        this.configure(options);
+    }
+
+    // `ttlFor(key)` may return a TTL for a single key, or undefined
+    configure(options = {}) {
+        this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL;
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.ttlFor = options.ttlFor || null;
+        this.staleTtl = options.staleTtl || 0;
+        this.evict();
+    }
+
+    // A source gets its cache from the resolver, which applies the cache
+    // config and reports its stats; standalone it uses `options` as is
+    static forSource(context, options = {}) {
+        return typeof context.createCache === 'function' ? context.createCache(options) : new Cache(options);
+    }
+
+    // The cached value, or null when missing or expired
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            if (!this.isStale(entry)) {
+                this.entries.delete(key);
+                this.stats.expirations++;
+            }
+            this.stats.misses++;
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    // An expired entry still within `staleTtl` as { value, storedAt,
+    // expiresAt }, or null
+    getStale(key) {
+        const entry = this.entries.get(key);
+        if (!entry || !this.isStale(entry)) {
+            return null;
+        }
+        this.stats.staleHits++;
+        return { ...entry };
+    }
+
+    isStale(entry) {
+        const now = Date.now();
+        return entry.expiresAt <= now && entry.expiresAt + this.staleTtl > now;
+    }
+
+    // `ttl` overrides the TTL for this entry. `ttlKey` is what `ttlFor`
+    // sees, for caches keyed by something derived from the placeholder key,
+    // e.g. a Vault secret path for `path:field`.
+    set(key, value, options = {}) {
+        let ttl = options.ttl;
+        if (ttl === undefined && this.ttlFor) {
+            ttl = this.ttlFor(options.ttlKey !== undefined ? options.ttlKey : key);
+        }
+        if (ttl === undefined) {
+            ttl = this.ttl;
+        }
+        if (ttl <= 0) {
+            this.entries.delete(key);
+            return;
+        }
+
+        const now = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: now, expiresAt: now + ttl });
+        this.evict();
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    // Drop the entries for which `predicate(value, key)` is true
+    deleteWhere(predicate) {
+        for (const [key, entry] of this.entries) {
+            if (predicate(entry.value, key)) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    // Expire every entry now, keeping them for getStale() if `staleTtl` is set
+    expire() {
+        if (this.staleTtl <= 0) {
+            this.clear();
+            return;
+        }
+        const now = Date.now();
+        for (const entry of this.entries.values()) {
+            entry.expiresAt = Math.min(entry.expiresAt, now);
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            name: this.name,
+            size: this.entries.size,
+            ...this.stats,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : null
+        };
+    }
+}
+
+module.exports = Cache;
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_PATH = '.gauge-external-params-cache.json';
+const DEFAULT_KEY_ENV = 'GAUGE_EXTERNAL_PARAMS_CACHE_KEY';
+const DEFAULT_TTL = 3600;
+const VERSION = 1;
+
+// Local sources are cheap to read and change without notice, so they are
+// only persisted when given a TTL explicitly
+const LOCAL_SOURCES = ['env', 'file'];
+
+// Values fetched from sources, kept across runs when cache.persistent is
+// enabled. The file holds a single AES-256-GCM encrypted payload:
+//
+//   { "version": 1, "salt": "..", "iv": "..", "tag": "..", "data": ".." }
+//
+// The encryption key is derived from the passphrase in `keyEnv`. Without it
+// the cache cannot be read or written; clearing it needs no key.
+class PersistentCache {
+    // `filePath` is resolved against `baseDir`, the config file's directory
+    constructor(options = {}, baseDir = process.cwd()) {
+        this.filePath = path.resolve(baseDir, options.path || DEFAULT_PATH);
+        this.keyEnv = options.keyEnv || DEFAULT_KEY_ENV;
+        this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL;
+        this.sourceTtl = options.sourceTtl || {};
+        this.entries = new Map();
+        this.dirty = false;
+    }
+
+    static get DEFAULT_KEY_ENV() {
+        return DEFAULT_KEY_ENV;
+    }
+
+    // Seconds to keep values from a source; 0 means not persisted
+    getTtl(sourceName) {
+        if (this.sourceTtl[sourceName] !== undefined) {
+            return this.sourceTtl[sourceName];
+        }
+        return LOCAL_SOURCES.includes(sourceName) ? 0 : this.ttl;
+    }
+
+    getPassphrase() {
+        const passphrase = process.env[this.keyEnv];
+        if (!passphrase) {
+            throw new Error(`Set ${this.keyEnv} to the key for ${this.filePath}`);
+        }
+        return passphrase;
+    }
+
+    // A missing file or one from another version starts an empty cache
+    async load() {
+        const passphrase = this.getPassphrase();
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+        }
+        if (!data || data.version !== VERSION) {
+            return;
+        }
+
+        let entries;
+        try {
+            entries = JSON.parse(PersistentCache.decrypt(data, passphrase));
+        } catch (error) {
+            throw new Error(`Failed to decrypt ${this.filePath}, check ${this.keyEnv}`);
+        }
+
+        const now = Date.now();
+        for (const entry of entries) {
+            if (entry.expiresAt > now) {
+                this.entries.set(PersistentCache.entryKey(entry.source, entry.key), entry);
+            }
+        }
+    }
+
+    get(sourceName, key) {
+        const entryKey = PersistentCache.entryKey(sourceName, key);
+        const entry = this.entries.get(entryKey);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(entryKey);
+            this.dirty = true;
+            return null;
+        }
+        return entry;
+    }
+
+    set(sourceName, key, value) {
+        const ttl = this.getTtl(sourceName);
+        if (ttl <= 0) {
+            return;
+        }
+
+        const now = Date.now();
+        this.entries.set(PersistentCache.entryKey(sourceName, key), {
+            source: sourceName,
+            key,
+            value,
+            storedAt: now,
+            expiresAt: now + ttl * 1000
+        });
+        this.dirty = true;
+    }
+
+    removeSources(sourceNames) {
+        for (const [entryKey, entry] of this.entries) {
+            if (sourceNames.includes(entry.source)) {
+                this.entries.delete(entryKey);
+                this.dirty = true;
+            }
+        }
+    }
+
+    // Entries without their values, for `cache list`
+    list() {
+        return [...this.entries.values()]
+            .filter(entry => entry.expiresAt > Date.now())
+            .map(({ source, key, storedAt, expiresAt }) => ({ source, key, storedAt, expiresAt }))
+            .sort((a, b) => a.source.localeCompare(b.source) || a.key.localeCompare(b.key));
+    }
+
+    // Readable by the owner only, and never left half-written
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+
+        const entries = [...this.entries.values()].filter(entry => entry.expiresAt > Date.now());
+        const payload = PersistentCache.encrypt(JSON.stringify(entries), this.getPassphrase());
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        try {
+            await fs.writeFile(tempPath, JSON.stringify({ version: VERSION, ...payload }) + '\n', { mode: 0o600 });
+            await fs.rename(tempPath, this.filePath);
+        } catch (error) {
+            await fs.rm(tempPath, { force: true });
+            throw error;
+        }
+        this.dirty = false;
+    }
+
+    // Also removes temp files left by interrupted saves
+    async clear() {
+        this.entries.clear();
+        this.dirty = false;
+        await fs.rm(this.filePath, { force: true });
+
+        const dir = path.dirname(this.filePath);
+        const prefix = `${path.basename(this.filePath)}.`;
+        let names = [];
+        try {
+            names = await fs.readdir(dir);
+        } catch (error) {
+            return;
+        }
+        for (const name of names.filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))) {
+            await fs.rm(path.join(dir, name), { force: true });
+        }
+    }
+
+    static entryKey(sourceName, key) {
+        return `${sourceName}\u0000${key}`;
+    }
+
+    static encrypt(plaintext, passphrase) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return {
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    static decrypt(payload, passphrase) {
+        const key = crypto.scryptSync(passphrase, Buffer.from(payload.salt, 'base64'), 32);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]).toString('utf8');
+    }
+}
+
+module.exports = PersistentCache;
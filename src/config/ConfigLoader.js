@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const BASE_NAME = 'gauge-external-params';
+const EXTENSIONS = ['.json', '.yaml', '.yml', '.js'];
+const ENV_REFERENCE_REGEX = /(\$)?\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+// Finds and reads the plugin config. The path comes from, in order:
+// --config, GAUGE_EXTERNAL_PARAMS_CONFIG, or the first of
+// gauge-external-params.{json,yaml,yml,js} in the working directory.
+//
+// A profile overlay such as gauge-external-params.staging.yaml next to the
+// base file is deep-merged over it. The profile comes from --profile,
+// GAUGE_EXTERNAL_PARAMS_PROFILE or Gauge's environment name.
+//
+// String values may reference environment variables as ${VAR} or
+// ${VAR:-default}; `$${` is a literal `${`.
+class ConfigLoader {
+    static get EXTENSIONS() {
+        return EXTENSIONS;
+    }
+
+    static resolvePath(configPath = null, cwd = process.cwd()) {
+        const explicitPath = configPath || process.env.GAUGE_EXTERNAL_PARAMS_CONFIG;
+        if (explicitPath) {
+            return path.resolve(cwd, explicitPath);
+        }
+
+        for (const extension of EXTENSIONS) {
+            const candidate = path.join(cwd, `${BASE_NAME}${extension}`);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+        }
+
+        return path.join(cwd, `${BASE_NAME}.json`);
+    }
+
+    // An explicit profile must have an overlay file; one taken from Gauge's
+    // environment (e.g. "default") may not
+    static resolveProfile(profile = null) {
+        if (profile) {
+            return { name: profile, required: true };
+        }
+        if (process.env.GAUGE_EXTERNAL_PARAMS_PROFILE) {
+            return { name: process.env.GAUGE_EXTERNAL_PARAMS_PROFILE, required: true };
+        }
+        if (process.env.gauge_environment) {
+            return { name: process.env.gauge_environment, required: false };
+        }
+        return null;
+    }
+
+    // Returns { config, files, found }. `files` lists what was merged, base
+    // first; without a base file the overlay applies to `defaults`.
+    static async load(configPath, options = {}) {
+        const { profile = null, defaults = {} } = options;
+        const found = fs.existsSync(configPath);
+        const files = [];
+        let config = defaults;
+
+        if (found) {
+            config = await ConfigLoader.readFile(configPath);
+            files.push(configPath);
+        }
+
+        if (profile) {
+            const overlayPath = ConfigLoader.findOverlay(configPath, profile.name);
+            if (overlayPath) {
+                config = ConfigLoader.merge(config, await ConfigLoader.readFile(overlayPath));
+                files.push(overlayPath);
+            } else if (profile.required) {
+                const expected = `${ConfigLoader.stripExtension(path.basename(configPath))}.${profile.name}.{${EXTENSIONS.map(ext => ext.slice(1)).join(',')}}`;
+                throw new Error(`No config found for profile '${profile.name}', expected ${expected} in ${path.dirname(configPath)}`);
+            }
+        }
+
+        const expanded = [];
+        return { config: ConfigLoader.expandEnv(config, process.env, expanded), files, found, expanded };
+    }
+
+    // Expand ${VAR} and ${VAR:-default} in every string value. The default
+    // applies when VAR is unset or empty. All missing variables are reported
+    // together with the config paths that use them. The key paths of values
+    // that referenced a variable are pushed to `expandedPaths`, so the
+    // validator can convert only those to the type the schema expects.
+    static expandEnv(config, env = process.env, expandedPaths = []) {
+        const missing = [];
+
+        const expandString = (value, location, keys) => value.replace(ENV_REFERENCE_REGEX, (match, escape, name, defaultValue) => {
+            if (escape) {
+                return match.slice(1);
+            }
+            if (expandedPaths[expandedPaths.length - 1] !== keys) {
+                expandedPaths.push(keys);
+            }
+            if (env[name] !== undefined && env[name] !== '') {
+                return env[name];
+            }
+            if (defaultValue !== undefined) {
+                return defaultValue;
+            }
+            missing.push(`${location} (${name})`);
+            return match;
+        });
+
+        const expand = (value, location, keys) => {
+            if (typeof value === 'string') {
+                return expandString(value, location, keys);
+            }
+            if (Array.isArray(value)) {
+                return value.map((item, index) => expand(item, `${location}[${index}]`, [...keys, index]));
+            }
+            if (ConfigLoader.isPlainObject(value)) {
+                const expanded = {};
+                for (const [key, item] of Object.entries(value)) {
+                    expanded[key] = expand(item, location ? `${location}.${key}` : key, [...keys, key]);
+                }
+                return expanded;
+            }
+            return value;
+        };
+
+        const expanded = expand(config, '', []);
+
+        if (missing.length > 0) {
+            throw new Error(`Missing environment variables referenced in config: ${missing.join(', ')}`);
+        }
+
+        return expanded;
+    }
+
+    static findOverlay(configPath, profileName) {
+        if (!/^[A-Za-z0-9_.-]+$/.test(profileName)) {
+            throw new Error(`Invalid profile name '${profileName}'`);
+        }
+
+        const stem = path.join(path.dirname(configPath), ConfigLoader.stripExtension(path.basename(configPath)));
+
+        // Prefer the base file's own format, then any supported one
+        const extensions = [path.extname(configPath), ...EXTENSIONS.filter(ext => ext !== path.extname(configPath))];
+        for (const extension of extensions) {
+            const candidate = `${stem}.${profileName}${extension}`;
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    static async readFile(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        let config;
+
+        try {
+            switch (extension) {
+                case '.yaml':
+                case '.yml':
+                    config = yaml.load(await fs.promises.readFile(filePath, 'utf8'));
+                    break;
+                case '.js': {
+                    // Re-read on every load so watch mode and tests see edits
+                    delete require.cache[require.resolve(filePath)];
+                    const exported = require(filePath);
+                    config = typeof exported === 'function' ? await exported() : exported;
+                    break;
+                }
+                default:
+                    config = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            }
+        } catch (error) {
+            throw new Error(`Failed to read ${path.basename(filePath)}: ${error.message}`);
+        }
+
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error(`${path.basename(filePath)} must contain a config object`);
+        }
+
+        return config;
+    }
+
+    // Objects merge key by key; arrays and scalars in the overlay replace the base
+    static merge(base, overlay) {
+        const merged = { ...base };
+
+        for (const [key, value] of Object.entries(overlay)) {
+            merged[key] = ConfigLoader.isPlainObject(value) && ConfigLoader.isPlainObject(base[key])
+                ? ConfigLoader.merge(base[key], value)
+                : value;
+        }
+
+        return merged;
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static stripExtension(fileName) {
+        const extension = path.extname(fileName);
+        return extension ? fileName.slice(0, -extension.length) : fileName;
+    }
+}
+
+module.exports = ConfigLoader;
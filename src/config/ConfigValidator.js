@@ -0,0 +1,183 @@
+const Ajv = require('ajv');
+
+const schema = require('./config.schema.json');
+
+let compiledSchemas = null;
+
+// Validates gauge-external-params.json against config.schema.json.
+// Type and value problems are errors; unknown keys are warnings with a
+// suggestion, since they are usually typos that would otherwise be ignored.
+class ConfigValidator {
+    constructor() {
+        // Compiling is the expensive part, so share it across instances.
+        // The coercing copy is only used for values expanded from ${ENV_VAR};
+        // a literal "300" in the file is still a type error.
+        if (!compiledSchemas) {
+            compiledSchemas = {
+                strict: new Ajv({ allErrors: true, allowUnionTypes: true }).compile(schema),
+                coercing: new Ajv({ allErrors: true, allowUnionTypes: true, coerceTypes: true }).compile(schema)
+            };
+        }
+        this.validateSchema = compiledSchemas.strict;
+        this.coerceSchema = compiledSchemas.coercing;
+    }
+
+    static get schema() {
+        return schema;
+    }
+
+    // `sourceNames` are the registered sources; entries under "sources" that
+    // are neither registered nor declare a module are reported as unknown.
+    // `expanded` lists the key paths of values expanded from ${ENV_VAR}
+    // (see ConfigLoader.expandEnv); only those are converted in place.
+    validate(config, options = {}) {
+        const errors = [];
+        const warnings = [];
+
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return { valid: false, errors: ['(root): must be an object'], warnings };
+        }
+
+        this.coerceExpanded(config, options.expanded || []);
+
+        if (!this.validateSchema(config)) {
+            for (const error of ConfigValidator.dropRedundantErrors(this.validateSchema.errors)) {
+                if (error.keyword === 'additionalProperties') {
+                    warnings.push(this.formatUnknownKey(error));
+                } else {
+                    errors.push(this.formatError(error));
+                }
+            }
+        }
+
+        const sourceNames = options.sourceNames || [];
+        for (const [name, sourceConfig] of Object.entries(config.sources || {})) {
+            const declaresModule = sourceConfig && typeof sourceConfig.module === 'string';
+            if (sourceNames.length > 0 && !sourceNames.includes(name) && !declaresModule) {
+                const suggestion = ConfigValidator.suggest(name, sourceNames);
+                warnings.push(`sources.${name}: unknown source${suggestion ? `, did you mean '${suggestion}'?` : ' (custom sources need a "module" or registerSource())'}`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    // Expanded values are always strings, so "5000" or "true" is converted to
+    // the number or boolean the schema expects. Ajv coerces a copy, and only
+    // the expanded paths are taken over from it.
+    coerceExpanded(config, expandedPaths) {
+        if (expandedPaths.length === 0) {
+            return;
+        }
+
+        const coerced = JSON.parse(JSON.stringify(config));
+        this.coerceSchema(coerced);
+
+        for (const keys of expandedPaths) {
+            const parent = ConfigValidator.valueAt(config, keys.slice(0, -1));
+            const coercedParent = ConfigValidator.valueAt(coerced, keys.slice(0, -1));
+            const key = keys[keys.length - 1];
+
+            if (parent && coercedParent && typeof parent[key] === 'string' && typeof coercedParent[key] !== 'string') {
+                parent[key] = coercedParent[key];
+            }
+        }
+    }
+
+    formatError(error) {
+        const location = ConfigValidator.toPath(error.instancePath);
+
+        switch (error.keyword) {
+            case 'enum':
+                return `${location}: must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+            case 'type':
+                return `${location}: must be ${[].concat(error.params.type).join(' or ')}`;
+            case 'oneOf':
+                return `${location}: must be null, { "token": "..." } or { "username": "...", "password": "..." }`;
+            default:
+                return `${location}: ${error.message}`;
+        }
+    }
+
+    formatUnknownKey(error) {
+        const parentPath = ConfigValidator.toPath(error.instancePath);
+        const key = error.params.additionalProperty;
+        const location = error.instancePath ? `${parentPath}.${key}` : key;
+        const known = Object.keys(ConfigValidator.schemaAt(error.schemaPath).properties || {})
+            .filter(name => name !== '$schema');
+        const suggestion = ConfigValidator.suggest(key, known);
+
+        return `${location}: unknown key${suggestion ? `, did you mean '${suggestion}'?` : ''} (ignored)`;
+    }
+
+    // oneOf reports every failed branch; keep only the summary for that path
+    static dropRedundantErrors(errors) {
+        const oneOfPaths = errors
+            .filter(error => error.keyword === 'oneOf')
+            .map(error => error.instancePath);
+
+        return errors.filter(error => error.keyword === 'oneOf' ||
+            !oneOfPaths.some(oneOfPath => error.instancePath.startsWith(oneOfPath) && error.schemaPath.includes('/oneOf/')));
+    }
+
+    // "/sources/vault/timeout" -> "sources.vault.timeout"
+    static toPath(instancePath) {
+        if (!instancePath) {
+            return '(root)';
+        }
+        return instancePath
+            .slice(1)
+            .split('/')
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .map(segment => (/^\d+$/.test(segment) ? `[${segment}]` : segment))
+            .join('.')
+            .replace(/\.\[/g, '[');
+    }
+
+    static valueAt(value, keys) {
+        return keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), value);
+    }
+
+    // Schema object for an error's "#/properties/sources/.../additionalProperties"
+    static schemaAt(schemaPath) {
+        const segments = schemaPath.replace(/^#\//, '').split('/').slice(0, -1);
+        return segments.reduce((node, segment) => (node ? node[segment] : undefined), schema) || {};
+    }
+
+    static suggest(name, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const candidate of candidates) {
+            const distance = ConfigValidator.editDistance(name.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        // Only suggest close matches, e.g. "enabeld" -> "enabled"
+        return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+    }
+
+    static editDistance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = a[i - 1] === b[j - 1]
+                    ? diagonal
+                    : 1 + Math.min(diagonal, previous[j - 1], above);
+                diagonal = above;
+            }
+        }
+
+        return previous[b.length];
+    }
+}
+
+module.exports = ConfigValidator;
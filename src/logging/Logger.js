@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+// Leveled logger configured from the `logging` config section:
+//
+//   { "level": "info", "format": "pretty" | "json", "file": "./logs/run.log" }
+//
+// Output goes to stderr so stdout stays free for the port in plugin mode and
+// for reports written by validate and stats. Child loggers share level,
+// format, destination and secret masker with their parent and add context,
+// e.g. logger.child({ source: 'vault' }).
+class Logger {
+    constructor(options = {}, context = {}, shared = null) {
+        this.context = context;
+        this.shared = shared || {
+            level: 'info',
+            format: 'pretty',
+            file: null,
+            stream: options.stream || process.stderr,
+            masker: null,
+            verbose: process.env.GAUGE_EXTERNAL_PARAMS_VERBOSE === 'true'
+        };
+
+        if (!shared) {
+            this.configure(options);
+        }
+    }
+
+    static get LEVELS() {
+        return Object.keys(LEVELS);
+    }
+
+    // A logger that discards everything, for sources used on their own
+    static silent() {
+        return new Logger({ level: 'silent' });
+    }
+
+    configure(options = {}) {
+        if (options.level !== undefined) {
+            if (!(options.level in LEVELS)) {
+                throw new Error(`Invalid logging level '${options.level}'. Supported: ${Logger.LEVELS.join(', ')}`);
+            }
+            this.shared.level = options.level;
+        }
+        if (options.format !== undefined) {
+            if (!['pretty', 'json'].includes(options.format)) {
+                throw new Error(`Invalid logging format '${options.format}'. Supported: pretty, json`);
+            }
+            this.shared.format = options.format;
+        }
+        if (options.file !== undefined) {
+            this.shared.file = options.file ? path.resolve(options.file) : null;
+            if (this.shared.file) {
+                fs.mkdirSync(path.dirname(this.shared.file), { recursive: true });
+            }
+        }
+        if (options.masker !== undefined) {
+            this.shared.masker = options.masker;
+        }
+        if (options.verbose !== undefined) {
+            this.shared.verbose = options.verbose === true;
+        }
+    }
+
+    // --verbose wins over the configured level
+    get level() {
+        return this.shared.verbose ? 'debug' : this.shared.level;
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    child(context) {
+        return new Logger({}, { ...this.context, ...context }, this.shared);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            ...this.context,
+            msg: this.mask(message)
+        };
+        for (const [name, value] of Object.entries(fields)) {
+            entry[name] = this.mask(value instanceof Error ? value.message : value);
+        }
+
+        const line = this.shared.format === 'json'
+            ? JSON.stringify(entry)
+            : Logger.formatPretty(entry);
+
+        this.shared.stream.write(line + '\n');
+
+        if (this.shared.file) {
+            try {
+                fs.appendFileSync(this.shared.file, line + '\n', 'utf8');
+            } catch (error) {
+                this.shared.file = null;
+                this.shared.stream.write(`Failed to write log file, logging to stderr only: ${error.message}\n`);
+            }
+        }
+    }
+
+    mask(value) {
+        if (!this.shared.masker || typeof value !== 'string') {
+            return value;
+        }
+        return this.shared.masker.mask(value);
+    }
+
+    // "2026-01-01T00:00:00.000Z WARN  [source=vault] message key=value"
+    static formatPretty(entry) {
+        const { time, level, msg, ...rest } = entry;
+        const context = [];
+        const details = [];
+
+        for (const [name, value] of Object.entries(rest)) {
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            if (name === 'source' || name === 'component') {
+                context.push(`[${name}=${text}]`);
+            } else {
+                details.push(`${name}=${text}`);
+            }
+        }
+
+        return [time, level.toUpperCase().padEnd(5), ...context, msg, ...details].join(' ');
+    }
+}
+
+module.exports = Logger;
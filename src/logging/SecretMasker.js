@@ -0,0 +1,83 @@
+// Redacts known secret values from log messages, errors and reports.
+// Values are tracked as they are resolved, so only exact strings that came
+// from a secret source are masked; very short values are ignored because
+// masking them would garble unrelated text.
+class SecretMasker {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.minLength = options.minLength || 4;
+        this.replacement = options.replacement || '****';
+        this.secrets = new Set();
+        this.pattern = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled !== false;
+    }
+
+    track(value) {
+        if (value === null || value === undefined) {
+            return;
+        }
+
+        const secret = typeof value === 'string' ? value : JSON.stringify(value);
+        if (secret.length < this.minLength || this.secrets.has(secret)) {
+            return;
+        }
+
+        this.secrets.add(secret);
+
+        // Multi-line secrets are also masked line by line, since sources and
+        // transformers often log or split them
+        if (secret.includes('\n')) {
+            secret.split(/\r?\n/).forEach(line => this.track(line.trim()));
+        }
+
+        this.pattern = null;
+    }
+
+    isSecret(value) {
+        return this.secrets.has(value);
+    }
+
+    mask(text) {
+        if (!this.enabled || this.secrets.size === 0 || text === null || text === undefined) {
+            return text;
+        }
+
+        if (!this.pattern) {
+            // Longest first so a secret containing another is masked whole
+            const alternatives = [...this.secrets]
+                .sort((a, b) => b.length - a.length)
+                .map(SecretMasker.escapeRegex);
+            this.pattern = new RegExp(alternatives.join('|'), 'g');
+        }
+
+        return String(text).replace(this.pattern, this.replacement);
+    }
+
+    // Mask an error's message in place and return it, keeping its type
+    maskError(error) {
+        if (this.enabled && error && typeof error.message === 'string') {
+            const masked = this.mask(error.message);
+            if (masked !== error.message) {
+                error.message = masked;
+                if (typeof error.stack === 'string') {
+                    error.stack = this.mask(error.stack);
+                }
+            }
+        }
+        return error;
+    }
+
+    clear() {
+        this.secrets.clear();
+        this.pattern = null;
+    }
+
+    static escapeRegex(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = SecretMasker;
@@ -0,0 +1,343 @@
+const TransformerRegistry = require('../transformers/TransformerRegistry');
+
+// Placeholder grammar:
+//
+//   <name:source#key|default | transformer | transformer(arg, ...)>
+//
+// - name and source use letters, digits, '_', '.' and '-'. The source may end
+//   with '!' (strict) or '~' (allow fallback).
+// - key and default may contain nested placeholders.
+// - '\' escapes '<', '>', '|', '"', "'" and '\'. Outside placeholders only
+//   '\<' is an escape, and only before something shaped like a placeholder.
+// - A key or default wrapped entirely in double or single quotes is taken
+//   literally, e.g. <x:env#KEY|"a | b > c">. Use "" for an empty default.
+// - Double-quoted runs inside a key are kept verbatim, so JSON bodies such as
+//   POST:https://api/auth:{"q":"a|b"} need no escaping.
+// - A '|' preceded by whitespace starts the transformer chain. Every name in
+//   it must be a known transformer, so a default containing " | " followed
+//   by a word has to be quoted.
+// - The source must be a known source or chain, so Markdown such as <a:b#c>
+//   stays text. Without `options.sources` only the built-in sources count.
+const HEAD_REGEX = /<([A-Za-z0-9_.-]+):([A-Za-z0-9_.-]+)([!~]?)#/y;
+const ESCAPABLE = ['<', '>', '|', '"', '\'', '\\'];
+const BUILTIN_SOURCES = ['env', 'file', 'http', 'vault', 'aws', 'k8s'];
+
+let builtinTransformers = null;
+
+class PlaceholderSyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} at line ${position.line}, column ${position.column}`);
+        this.name = 'PlaceholderSyntaxError';
+        this.reason = message;
+        this.line = position.line;
+        this.column = position.column;
+        this.offset = position.offset;
+    }
+}
+
+class PlaceholderParser {
+    // `options.sources` is a list of source and chain names or a predicate,
+    // `options.transformers` a TransformerRegistry
+    constructor(text, options = {}) {
+        this.text = text;
+        this.lineStarts = null;
+        this.isSource = PlaceholderParser.createSourceMatcher(options.sources);
+        this.transformers = options.transformers || PlaceholderParser.getBuiltinTransformers();
+    }
+
+    // Returns { parts, placeholders, errors }. `parts` interleaves literal text
+    // with placeholder objects so callers can rebuild the text after resolving.
+    static parse(text, options = {}) {
+        return new PlaceholderParser(text, options).parseText();
+    }
+
+    static createSourceMatcher(sources = BUILTIN_SOURCES) {
+        if (typeof sources === 'function') {
+            return sources;
+        }
+        const names = new Set(sources);
+        return name => names.has(name);
+    }
+
+    static getBuiltinTransformers() {
+        if (!builtinTransformers) {
+            builtinTransformers = TransformerRegistry.withBuiltins();
+        }
+        return builtinTransformers;
+    }
+
+    parseText() {
+        const text = this.text;
+        const parts = [];
+        const placeholders = [];
+        const errors = [];
+        let textStart = 0;
+        let i = 0;
+
+        const pushText = (end) => {
+            if (end > textStart) {
+                parts.push(text.slice(textStart, end));
+            }
+        };
+
+        while (i < text.length) {
+            if (text[i] === '\\' && text[i + 1] === '<' && this.matchSyntax(i + 1)) {
+                // Escaped placeholder: drop the backslash, keep the rest as text
+                pushText(i);
+                textStart = i + 1;
+                i += 2;
+                continue;
+            }
+
+            if (text[i] === '<' && this.matchHead(i)) {
+                try {
+                    const placeholder = this.parsePlaceholder(i);
+                    pushText(i);
+                    parts.push(placeholder);
+                    placeholders.push(placeholder);
+                    i = placeholder.end;
+                    textStart = i;
+                    continue;
+                } catch (error) {
+                    if (!(error instanceof PlaceholderSyntaxError)) {
+                        throw error;
+                    }
+                    errors.push(error);
+                }
+            }
+
+            i++;
+        }
+
+        pushText(text.length);
+        return { parts, placeholders, errors };
+    }
+
+    // A placeholder head with a known source
+    matchHead(offset) {
+        const head = this.matchSyntax(offset);
+        return head && this.isSource(head[2]) ? head : null;
+    }
+
+    // Anything shaped like a head, which '\<' escapes whatever the source
+    matchSyntax(offset) {
+        HEAD_REGEX.lastIndex = offset;
+        return HEAD_REGEX.exec(this.text);
+    }
+
+    parsePlaceholder(start) {
+        const text = this.text;
+        const head = this.matchHead(start);
+        const [, name, source, marker] = head;
+        const segments = [];
+        const separators = [];
+        let i = start + head[0].length;
+        let segment = PlaceholderParser.createSegment(i);
+
+        for (;;) {
+            if (i >= text.length || text[i] === '\n' || text[i] === '\r') {
+                throw this.error('Unterminated placeholder, expected ">"', start);
+            }
+
+            const ch = text[i];
+
+            if (ch === '\\' && ESCAPABLE.includes(text[i + 1])) {
+                PlaceholderParser.appendText(segment, text[i + 1]);
+                i += 2;
+            } else if ((ch === '"' || ch === '\'') && segment.parts.length === 0 && !segment.quoted) {
+                // Fully quoted key or default
+                const close = this.findClosingQuote(i, ch);
+                PlaceholderParser.appendText(segment, PlaceholderParser.unescape(text.slice(i + 1, close)));
+                segment.quoted = true;
+                i = close + 1;
+
+                if (!/[\s|>]/.test(text[i] || '')) {
+                    throw this.error(`Unexpected character '${text[i] || ''}' after quoted value`, i);
+                }
+            } else if (segment.quoted && /\s/.test(ch)) {
+                // Whitespace between a quoted value and the transformer chain
+                i++;
+            } else if (segment.quoted && ch !== '|' && ch !== '>') {
+                throw this.error(`Unexpected character '${ch}' after quoted value`, i);
+            } else if (ch === '"' && segments.length === 0) {
+                // Double-quoted run inside a key, e.g. a JSON body, kept verbatim
+                const close = this.findClosingQuote(i, ch);
+                PlaceholderParser.appendText(segment, text.slice(i, close + 1));
+                i = close + 1;
+            } else if (ch === '<' && this.matchHead(i)) {
+                const nested = this.parsePlaceholder(i);
+                segment.parts.push(nested);
+                i = nested.end;
+            } else if (ch === '|') {
+                separators.push({ afterWhitespace: /\s/.test(text[i - 1]) });
+                segments.push(segment);
+                i++;
+                segment = PlaceholderParser.createSegment(i);
+            } else if (ch === '>') {
+                segments.push(segment);
+                i++;
+                break;
+            } else {
+                PlaceholderParser.appendText(segment, ch);
+                i++;
+            }
+        }
+
+        const { valueSegments, transformers } = this.splitTransformers(segments, separators);
+        const [keySegment, ...defaultSegments] = valueSegments;
+
+        if (keySegment.parts.length === 0 && !keySegment.quoted) {
+            throw this.error('Empty key', start);
+        }
+
+        let defaultParts;
+        if (defaultSegments.length > 0) {
+            defaultParts = [];
+            defaultSegments.forEach((defaultSegment, index) => {
+                if (index > 0) {
+                    PlaceholderParser.appendPart(defaultParts, '|');
+                }
+                defaultSegment.parts.forEach(part => PlaceholderParser.appendPart(defaultParts, part));
+            });
+
+            if (defaultParts.length === 0 && !defaultSegments[0].quoted) {
+                throw this.error('Empty default value, use "" for an empty string', start);
+            }
+        }
+
+        return {
+            fullMatch: text.slice(start, i),
+            name,
+            source,
+            policy: marker === '!' ? 'strict' : marker === '~' ? 'fallback' : undefined,
+            key: PlaceholderParser.partsToString(keySegment.parts),
+            keyParts: keySegment.parts,
+            defaultValue: defaultParts ? PlaceholderParser.partsToString(defaultParts) : undefined,
+            defaultParts,
+            transformers,
+            start,
+            end: i,
+            ...this.position(start)
+        };
+    }
+
+    // The chain starts at the first '|' preceded by whitespace whose remaining
+    // segments all parse as transformers; otherwise it is part of the default
+    splitTransformers(segments, separators) {
+        for (let index = 0; index < separators.length; index++) {
+            if (!separators[index].afterWhitespace) {
+                continue;
+            }
+
+            const chainSegments = segments.slice(index + 1);
+            const isPlain = chainSegments.every(segment =>
+                !segment.quoted && segment.parts.every(part => typeof part === 'string'));
+            if (!isPlain) {
+                continue;
+            }
+
+            let transformers;
+            try {
+                transformers = TransformerRegistry.parseChain(
+                    chainSegments.map(segment => PlaceholderParser.partsToString(segment.parts)).join('|'));
+            } catch (error) {
+                continue;
+            }
+
+            transformers.forEach(({ name }, position) => {
+                if (!this.transformers.has(name)) {
+                    const segment = chainSegments[position];
+                    const chainText = PlaceholderParser.partsToString(segment.parts);
+                    throw this.error(`Unknown transformer '${name}'. Quote the default if it contains " | "`,
+                        segment.start + chainText.length - chainText.trimStart().length);
+                }
+            });
+
+            const valueSegments = segments.slice(0, index + 1);
+            PlaceholderParser.trimEnd(valueSegments[valueSegments.length - 1]);
+            return { valueSegments, transformers };
+        }
+
+        return { valueSegments: segments, transformers: undefined };
+    }
+
+    findClosingQuote(openIndex, quote) {
+        for (let i = openIndex + 1; i < this.text.length; i++) {
+            if (this.text[i] === '\\') {
+                i++;
+            } else if (this.text[i] === quote) {
+                return i;
+            } else if (this.text[i] === '\n' || this.text[i] === '\r') {
+                break;
+            }
+        }
+
+        throw this.error('Unterminated quoted value', openIndex);
+    }
+
+    position(offset) {
+        if (!this.lineStarts) {
+            this.lineStarts = [0];
+            for (let i = 0; i < this.text.length; i++) {
+                if (this.text[i] === '\n') {
+                    this.lineStarts.push(i + 1);
+                }
+            }
+        }
+
+        // Binary search for the last line starting at or before offset
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return { line: low + 1, column: offset - this.lineStarts[low] + 1, offset };
+    }
+
+    error(message, offset) {
+        return new PlaceholderSyntaxError(message, this.position(offset));
+    }
+
+    static createSegment(start) {
+        return { parts: [], quoted: false, start };
+    }
+
+    static appendText(segment, value) {
+        PlaceholderParser.appendPart(segment.parts, value);
+    }
+
+    static appendPart(parts, part) {
+        if (typeof part === 'string' && typeof parts[parts.length - 1] === 'string') {
+            parts[parts.length - 1] += part;
+        } else {
+            parts.push(part);
+        }
+    }
+
+    static trimEnd(segment) {
+        const last = segment.parts.length - 1;
+        if (!segment.quoted && typeof segment.parts[last] === 'string') {
+            segment.parts[last] = segment.parts[last].trimEnd();
+            if (segment.parts[last] === '') {
+                segment.parts.pop();
+            }
+        }
+    }
+
+    static unescape(value) {
+        return value.replace(/\\(["'\\<>|])/g, '$1');
+    }
+
+    static partsToString(parts) {
+        return parts.map(part => (typeof part === 'string' ? part : part.fullMatch)).join('');
+    }
+}
+
+module.exports = PlaceholderParser;
+module.exports.PlaceholderSyntaxError = PlaceholderSyntaxError;
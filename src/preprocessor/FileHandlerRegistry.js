@@ -0,0 +1,226 @@
+const path = require('path');
+const yaml = require('js-yaml');
+
+// A file handler resolves placeholders in one kind of file:
+//
+//   async resolve(content, resolveText) => resolved content
+//
+// where `resolveText(text)` resolves the placeholders in a single string.
+// Handlers are selected by file extension. Files without a handler are
+// copied unchanged.
+class FileHandlerRegistry {
+    constructor() {
+        this.handlers = new Map();
+        this.extensions = new Map();
+    }
+
+    static withBuiltins() {
+        const registry = new FileHandlerRegistry();
+
+        registry.register('text', { resolve: (content, resolveText) => resolveText(content) });
+        registry.register('csv', { resolve: (content, resolveText) => FileHandlerRegistry.resolveCsv(content, resolveText) });
+        registry.register('json', { resolve: (content, resolveText) => FileHandlerRegistry.resolveJson(content, resolveText) });
+        registry.register('yaml', { resolve: (content, resolveText) => FileHandlerRegistry.resolveYaml(content, resolveText) });
+
+        // Specs, concepts and Gauge CSV tables are resolved by default;
+        // JSON/YAML fixtures only when mapped in preprocess.handlers
+        for (const extension of ['.spec', '.md', '.cpt']) {
+            registry.mapExtension(extension, 'text');
+        }
+        registry.mapExtension('.csv', 'csv');
+
+        return registry;
+    }
+
+    register(name, handler) {
+        if (!/^[A-Za-z_][\w-]*$/.test(name || '')) {
+            throw new Error(`Invalid file handler name '${name}'. Use letters, digits, '_' or '-'`);
+        }
+        if (!handler || typeof handler.resolve !== 'function') {
+            throw new Error(`File handler '${name}' must implement resolve(content, resolveText)`);
+        }
+
+        this.handlers.set(name, handler);
+    }
+
+    has(name) {
+        return this.handlers.has(name);
+    }
+
+    names() {
+        return [...this.handlers.keys()];
+    }
+
+    // Map an extension to a handler name, or to false to copy it unchanged
+    mapExtension(extension, handlerName) {
+        const normalized = FileHandlerRegistry.normalizeExtension(extension);
+
+        if (handlerName === false || handlerName === null) {
+            this.extensions.delete(normalized);
+            return;
+        }
+        if (!this.handlers.has(handlerName)) {
+            throw new Error(`Unknown file handler '${handlerName}' for '${normalized}'. Available: ${this.names().join(', ')}`);
+        }
+
+        this.extensions.set(normalized, handlerName);
+    }
+
+    // Apply the preprocess.handlers config section, e.g. { ".json": "json" }
+    configure(handlerConfig = {}) {
+        for (const [extension, handlerName] of Object.entries(handlerConfig)) {
+            this.mapExtension(extension, handlerName);
+        }
+    }
+
+    // The handler for a file by extension, else the `fallback` handler name
+    getHandler(filename, fallback = null) {
+        const handlerName = this.extensions.get(path.extname(filename).toLowerCase()) || fallback;
+        return handlerName ? { name: handlerName, ...this.handlers.get(handlerName) } : null;
+    }
+
+    static normalizeExtension(extension) {
+        const lower = String(extension).toLowerCase();
+        return lower.startsWith('.') ? lower : `.${lower}`;
+    }
+
+    // Resolve each cell on its own so a value containing a comma, quote or
+    // newline is quoted in the output instead of breaking the row
+    static async resolveCsv(content, resolveText) {
+        const lineEnding = content.includes('\r\n') ? '\r\n' : '\n';
+        const records = FileHandlerRegistry.parseCsv(content);
+
+        for (const record of records) {
+            for (const cell of record.cells) {
+                cell.value = await resolveText(cell.value);
+            }
+        }
+
+        return records
+            .map(record => record.cells.map(cell => FileHandlerRegistry.formatCsvCell(cell)).join(','))
+            .join(lineEnding) + (/\r?\n$/.test(content) ? lineEnding : '');
+    }
+
+    // RFC 4180: fields separated by ',', optionally wrapped in '"' with '""'
+    // as an escaped quote; quoted fields may span lines
+    static parseCsv(content) {
+        const records = [];
+        let cells = [];
+        let value = '';
+        let quoted = false;
+        let inQuotes = false;
+        let i = 0;
+
+        const endCell = () => {
+            cells.push({ value, quoted });
+            value = '';
+            quoted = false;
+        };
+        const endRecord = () => {
+            endCell();
+            records.push({ cells });
+            cells = [];
+        };
+
+        while (i < content.length) {
+            const ch = content[i];
+
+            if (inQuotes) {
+                if (ch === '"' && content[i + 1] === '"') {
+                    value += '"';
+                    i += 2;
+                    continue;
+                }
+                if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    value += ch;
+                }
+            } else if (ch === '"' && value === '') {
+                inQuotes = true;
+                quoted = true;
+            } else if (ch === ',') {
+                endCell();
+            } else if (ch === '\r' && content[i + 1] === '\n') {
+                endRecord();
+                i++;
+            } else if (ch === '\n') {
+                endRecord();
+            } else {
+                value += ch;
+            }
+
+            i++;
+        }
+
+        if (inQuotes) {
+            throw new Error('Unterminated quoted CSV field');
+        }
+
+        // No empty record for the trailing newline
+        if (value !== '' || quoted || cells.length > 0) {
+            endRecord();
+        }
+
+        return records;
+    }
+
+    static formatCsvCell(cell) {
+        if (cell.quoted || /[",\r\n]/.test(cell.value)) {
+            return `"${cell.value.replace(/"/g, '""')}"`;
+        }
+        return cell.value;
+    }
+
+    // Resolve string values only, so resolved values are escaped correctly
+    static async resolveJson(content, resolveText) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        const indentMatch = content.match(/^[[{]\r?\n([ \t]+)/);
+        const indent = indentMatch ? indentMatch[1] : 2;
+        const resolved = await FileHandlerRegistry.resolveStrings(data, resolveText);
+
+        return JSON.stringify(resolved, null, indent) + (/\n$/.test(content) ? '\n' : '');
+    }
+
+    // Comments and formatting are not preserved; values are re-serialized
+    static async resolveYaml(content, resolveText) {
+        let data;
+        try {
+            data = yaml.load(content);
+        } catch (error) {
+            throw new Error(`Invalid YAML: ${error.message}`);
+        }
+
+        const resolved = await FileHandlerRegistry.resolveStrings(data, resolveText);
+        return yaml.dump(resolved, { lineWidth: -1 });
+    }
+
+    static async resolveStrings(value, resolveText) {
+        if (typeof value === 'string') {
+            return resolveText(value);
+        }
+        if (Array.isArray(value)) {
+            const resolved = [];
+            for (const item of value) {
+                resolved.push(await FileHandlerRegistry.resolveStrings(item, resolveText));
+            }
+            return resolved;
+        }
+        if (value !== null && typeof value === 'object') {
+            const resolved = {};
+            for (const [key, item] of Object.entries(value)) {
+                resolved[key] = await FileHandlerRegistry.resolveStrings(item, resolveText);
+            }
+            return resolved;
+        }
+        return value;
+    }
+}
+
+module.exports = FileHandlerRegistry;
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const FileSource = require('../sources/FileSource');
+const { UnresolvedPlaceholdersError } = require('./Preprocessor');
+
+// `preprocess --watch`: one ParamResolver stays initialized while the spec
+// dir and the data files the specs look up are watched. A changed spec is
+// re-resolved on its own; a changed data file re-resolves the specs with a
+// placeholder that would look it up, whichever source served it last time,
+// plus any that failed. Cached values from file sources are dropped on data
+// changes, and FileSource's mtime check then reloads only the files that
+// actually changed.
+//
+// `fs.watch` only supports `recursive` on Linux from Node 20, so every
+// directory of the spec dir is watched on its own and new directories are
+// picked up as they appear. node_modules and dot-directories are skipped.
+// Data files are watched through their own directory, one level deep, since
+// a FileSource basePath is often the whole project.
+class PreprocessWatcher {
+    constructor(preprocessor, specDir, outDir, options = {}) {
+        this.preprocessor = preprocessor;
+        this.paramResolver = preprocessor.paramResolver;
+        this.logger = preprocessor.logger.child({ component: 'watch' });
+        this.specDir = path.resolve(specDir);
+        this.outDir = path.resolve(outDir);
+        this.options = options;
+        this.debounce = options.debounce !== undefined ? options.debounce : 100;
+        this.watchers = new Map();
+        this.dataDirs = new Set();
+        this.dataFiles = new Set();
+        this.pendingSpecs = new Set();
+        this.pendingData = new Set();
+        this.timer = null;
+        this.queue = Promise.resolve();
+        this.run = null;
+        this.lastUnresolved = [];
+    }
+
+    async start() {
+        await this.paramResolver.initialize();
+        this.preprocessor.configureFileHandlers();
+        await this.preprocessor.ensureDirectoryExists(this.outDir);
+
+        this.run = await this.preprocessor.createRun(this.outDir, this.options);
+        await this.preprocessor.processDirectoryRecursive(this.specDir, this.outDir, this.specDir, this.run);
+        await this.preprocessor.removeDeletedOutputs(this.outDir, this.run.manifest);
+        await this.finishBatch();
+
+        this.watch(this.specDir, true);
+        this.watchDataFiles();
+
+        this.logger.info(`Watching ${this.specDir} for changes, writing to ${this.outDir}`);
+    }
+
+    async close() {
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+        clearTimeout(this.timer);
+
+        await this.queue;
+        await this.paramResolver.cleanup();
+    }
+
+    // Watch `dir`, and with `recursive` every directory below it
+    watch(dir, recursive) {
+        if (this.isIgnored(dir) || this.watchers.has(dir)) {
+            return;
+        }
+
+        let watcher;
+        try {
+            watcher = fs.watch(dir, (eventType, filename) => this.onEvent(dir, filename ? filename.toString() : null));
+        } catch (error) {
+            this.logger.warn(`Watching ${dir} failed: ${error.message}`);
+            return;
+        }
+        watcher.on('error', error => this.logger.warn(`Watching ${dir} failed: ${error.message}`));
+        this.watchers.set(dir, watcher);
+
+        if (!recursive) {
+            return;
+        }
+
+        let entries = [];
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            this.logger.warn(`Reading ${dir} failed: ${error.message}`);
+        }
+        for (const entry of entries) {
+            if (entry.isDirectory()) {
+                this.watch(path.join(dir, entry.name), true);
+            }
+        }
+    }
+
+    // No filename means the platform could not say what changed
+    onEvent(dir, filename) {
+        const filePath = filename ? path.join(dir, filename) : dir;
+        if (this.isIgnored(filePath)) {
+            return;
+        }
+
+        let changed = false;
+        if (this.isInSpecDir(dir)) {
+            if (filename) {
+                this.updateWatchers(filePath);
+            }
+            this.pendingSpecs.add(filePath);
+            changed = true;
+        }
+        if (this.dataDirs.has(dir) && (!filename || this.dataFiles.has(filePath))) {
+            this.pendingData.add(filePath);
+            changed = true;
+        }
+
+        if (changed) {
+            this.schedule();
+        }
+    }
+
+    // Start watching a directory added to the spec dir, stop watching one that is gone
+    updateWatchers(filePath) {
+        let stats = null;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            // Deleted
+        }
+
+        if (stats && stats.isDirectory()) {
+            this.watch(filePath, true);
+        } else if (!stats) {
+            for (const [dir, watcher] of this.watchers) {
+                if (dir === filePath || dir.startsWith(filePath + path.sep)) {
+                    watcher.close();
+                    this.watchers.delete(dir);
+                }
+            }
+        }
+    }
+
+    // Our own output, e.g. an out dir inside the spec dir, temp files, and
+    // node_modules and dot-directories such as .git below the spec dir
+    isIgnored(filePath) {
+        if (PreprocessWatcher.isInside(this.outDir, filePath) || path.basename(filePath).endsWith('.tmp')) {
+            return true;
+        }
+        return this.isInSpecDir(filePath) && path.relative(this.specDir, filePath).split(path.sep)
+            .some(name => name === 'node_modules' || name.startsWith('.'));
+    }
+
+    isInSpecDir(filePath) {
+        return PreprocessWatcher.isInside(this.specDir, filePath);
+    }
+
+    static isInside(dir, filePath) {
+        const relative = path.relative(dir, filePath);
+        return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+    }
+
+    // Watch the directories of the data files the run looked up, and stop
+    // watching ones no spec uses any more
+    watchDataFiles() {
+        const fileSources = this.getFileSources();
+        this.dataFiles.clear();
+        for (const lookups of this.run.placeholders.values()) {
+            for (const lookup of lookups) {
+                this.getDataFiles(lookup, fileSources).forEach(dataFile => this.dataFiles.add(dataFile));
+            }
+        }
+
+        const dataDirs = new Set([...this.dataFiles].map(dataFile => path.dirname(dataFile)));
+        for (const dir of this.dataDirs) {
+            if (!dataDirs.has(dir) && !this.isInSpecDir(dir) && this.watchers.has(dir)) {
+                this.watchers.get(dir).close();
+                this.watchers.delete(dir);
+            }
+        }
+
+        this.dataDirs = new Set([...dataDirs].filter(dir => fs.existsSync(dir)));
+        for (const dir of this.dataDirs) {
+            this.watch(dir, false);
+        }
+    }
+
+    getFileSources() {
+        const fileSources = new Map();
+        for (const [name, source] of this.paramResolver.sources) {
+            if (source instanceof FileSource) {
+                fileSources.set(name, source);
+            }
+        }
+        return fileSources;
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.queue = this.queue
+                .then(() => this.flush())
+                .catch(error => this.logger.error(`Watch update failed: ${this.paramResolver.mask(error.message)}`));
+        }, this.debounce);
+    }
+
+    // Apply the changes collected since the last flush
+    async flush() {
+        const specPaths = [...this.pendingSpecs];
+        const dataPaths = [...this.pendingData];
+        this.pendingSpecs.clear();
+        this.pendingData.clear();
+
+        await this.handleChanges(specPaths, dataPaths);
+    }
+
+    async handleChanges(specPaths, dataPaths = []) {
+        const affected = new Set(specPaths);
+
+        if (dataPaths.length > 0) {
+            this.paramResolver.invalidateCachedValues([...this.getFileSources().keys()]);
+            for (const specPath of this.getSpecsUsingData(dataPaths)) {
+                affected.add(specPath);
+            }
+            // A data file that was missing or invalid may be usable now
+            for (const { file } of this.lastUnresolved) {
+                affected.add(file);
+            }
+        }
+
+        for (const specPath of affected) {
+            if (specPath === this.specDir) {
+                await this.preprocessor.processDirectoryRecursive(this.specDir, this.outDir, this.specDir, this.run);
+            } else {
+                await this.processSpec(specPath);
+            }
+        }
+
+        if (affected.size > 0) {
+            await this.finishBatch();
+            this.watchDataFiles();
+        }
+        return [...affected];
+    }
+
+    async processSpec(specPath) {
+        const relativePath = path.relative(this.specDir, specPath);
+        const targetPath = path.join(this.outDir, relativePath);
+        let stats = null;
+
+        try {
+            stats = await fs.promises.stat(specPath);
+        } catch (error) {
+            // Deleted, handled below
+        }
+
+        if (!stats) {
+            await this.removeOutput(specPath, targetPath);
+        } else if (stats.isDirectory()) {
+            await this.preprocessor.processDirectoryRecursive(specPath, this.outDir, this.specDir, this.run);
+        } else if (this.preprocessor.fileHandlers.getHandler(specPath)) {
+            this.logger.info(`Re-resolving ${relativePath}`);
+            await this.preprocessor.processSpecFile(specPath, targetPath, this.run);
+        } else {
+            await this.preprocessor.copyTrackedFile(specPath, targetPath, this.run);
+        }
+    }
+
+    async removeOutput(specPath, targetPath) {
+        const manifestKey = this.preprocessor.getManifestKey(this.run, targetPath);
+        this.run.placeholders.delete(specPath);
+
+        if (this.run.manifest.get(manifestKey)) {
+            this.run.manifest.remove(manifestKey);
+            await fs.promises.rm(targetPath, { force: true });
+            this.logger.info(`Removed output of deleted source: ${targetPath}`);
+        }
+    }
+
+    // Specs with a lookup that a file source would serve from one of
+    // `dataPaths`, including lookups that fell back to a default or another
+    // source last time
+    getSpecsUsingData(dataPaths) {
+        const changed = new Set(dataPaths.map(dataPath => path.resolve(dataPath)));
+        const fileSources = this.getFileSources();
+        const specs = [];
+
+        for (const [specPath, lookups] of this.run.placeholders) {
+            // A directory means the platform could not say which file changed
+            const usesChangedData = lookups.some(lookup => this.getDataFiles(lookup, fileSources)
+                .some(dataFile => changed.has(dataFile) || changed.has(path.dirname(dataFile))));
+
+            if (usesChangedData) {
+                specs.push(specPath);
+            }
+        }
+
+        return specs;
+    }
+
+    // Data files a lookup would read, one per file source it would try
+    getDataFiles(lookup, fileSources) {
+        const strict = this.paramResolver.isStrict(lookup.source, lookup.policy);
+
+        return this.paramResolver.getOrderedSourceNames(lookup.source, strict)
+            .filter(sourceName => fileSources.has(sourceName))
+            .map(sourceName => {
+                const source = fileSources.get(sourceName);
+                return path.resolve(source.config.basePath, source.parseKey(lookup.key).filename);
+            });
+    }
+
+    // Persist the manifest and report failures without stopping the watch
+    async finishBatch() {
+        await this.run.manifest.save(this.outDir);
+
+        this.lastUnresolved = this.run.unresolved;
+        if (this.run.unresolved.length > 0) {
+            this.logger.error(UnresolvedPlaceholdersError.summarize(this.run.unresolved));
+        }
+        this.logger.info(`Up to date (${this.run.written} written, ${this.run.skipped} unchanged)`);
+
+        this.run.unresolved = [];
+        this.run.written = 0;
+        this.run.skipped = 0;
+    }
+}
+
+module.exports = PreprocessWatcher;
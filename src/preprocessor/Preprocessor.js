@@ -1,26 +1,116 @@
 const fs = require('fs').promises;
 const path = require('path');
 const ParamResolver = require('../resolver/ParamResolver');
+const PlaceholderParser = require('../parser/PlaceholderParser');
+const FileHandlerRegistry = require('./FileHandlerRegistry');
+const TextDiff = require('./TextDiff');
+const ResolutionManifest = require('./ResolutionManifest');
+const SpecBackup = require('./SpecBackup');
+
+const ERROR_POLICIES = ['fail-fast', 'collect', 'copy-original'];
+
+// Lists every placeholder that could not be resolved as "file:line: error"
+class UnresolvedPlaceholdersError extends Error {
+    constructor(unresolved) {
+        super(UnresolvedPlaceholdersError.summarize(unresolved));
+        this.name = 'UnresolvedPlaceholdersError';
+        this.unresolved = unresolved;
+    }
+
+    static summarize(unresolved) {
+        const files = new Set(unresolved.map(entry => entry.file));
+        const lines = unresolved.map(entry => `  ${entry.file}${entry.line ? `:${entry.line}` : ''}: ${entry.error}`);
+        return `${unresolved.length} unresolved placeholder${unresolved.length === 1 ? '' : 's'} in ${files.size} file${files.size === 1 ? '' : 's'}:\n${lines.join('\n')}`;
+    }
+}
 
 class Preprocessor {
-    constructor(configPath = null) {
-        this.paramResolver = new ParamResolver(configPath);
+    constructor(configPath = null, options = {}) {
+        this.paramResolver = new ParamResolver(configPath, options);
+        this.logger = this.paramResolver.logger;
+        this.fileHandlers = FileHandlerRegistry.withBuiltins();
+    }
+
+    // What to do with a file whose placeholders do not all resolve:
+    //   fail-fast      stop at the first such file
+    //   collect        write nothing for it, carry on, then fail listing all
+    //   copy-original  copy it unresolved and succeed (the old behaviour)
+    static get ERROR_POLICIES() {
+        return ERROR_POLICIES;
+    }
+
+    static checkErrorPolicy(errorPolicy) {
+        if (!ERROR_POLICIES.includes(errorPolicy)) {
+            throw new Error(`Invalid error policy '${errorPolicy}'. Supported: ${ERROR_POLICIES.join(', ')}`);
+        }
+        return errorPolicy;
     }
 
-    async processDirectory(specDir, outDir) {
+    // Register a handler usable in preprocess.handlers; see FileHandlerRegistry
+    registerFileHandler(name, handler, extensions = []) {
+        this.fileHandlers.register(name, handler);
+        for (const extension of extensions) {
+            this.fileHandlers.mapExtension(extension, name);
+        }
+    }
+
+    configureFileHandlers() {
+        const preprocessConfig = (this.paramResolver.config && this.paramResolver.config.preprocess) || {};
+        this.fileHandlers.configure(preprocessConfig.handlers);
+    }
+
+    // With `dryRun` or `diff` nothing is written; the returned preview lists
+    // the files and lines that would change, plus a unified diff with secret
+    // values masked when `diff` is set. Unresolved placeholders fail as in a
+    // real run, with the preview attached to the error as `preview`.
+    //
+    // Otherwise a manifest in `outDir` records what was written, so outputs
+    // whose source and resolved values are unchanged are not rewritten
+    // (unless `force` is set) and outputs of deleted sources are removed.
+    // `errorPolicy` is one of ERROR_POLICIES and defaults to collect.
+    async processDirectory(specDir, outDir, options = {}) {
+        const preview = options.dryRun || options.diff
+            ? { files: [], totalFiles: 0, diff: options.diff === true }
+            : null;
+        const errorPolicy = Preprocessor.checkErrorPolicy(options.errorPolicy || 'collect');
+        
         try {
             // Initialize the parameter resolver
             await this.paramResolver.initialize();
+            this.configureFileHandlers();
+            
+            if (preview) {
+                const run = { preview, errorPolicy, unresolved: [] };
+                try {
+                    await this.processDirectoryRecursive(specDir, outDir, specDir, run);
+                    this.checkUnresolved(run, 'Would copy originals');
+                } catch (error) {
+                    if (error instanceof UnresolvedPlaceholdersError) {
+                        error.preview = preview;
+                    }
+                    throw error;
+                }
+                return preview;
+            }
             
             // Ensure output directory exists
             await this.ensureDirectoryExists(outDir);
             
             // Process all spec files in the directory
-            await this.processDirectoryRecursive(specDir, outDir, specDir);
+            const run = await this.createRun(outDir, { ...options, errorPolicy });
+            await this.processDirectoryRecursive(specDir, outDir, specDir, run);
+            
+            const removed = await this.removeDeletedOutputs(outDir, run.manifest);
+            await run.manifest.save(outDir);
+            this.checkUnresolved(run, 'Copied originals');
             
-            console.log(`Successfully processed specs from ${specDir} to ${outDir}`);
+            this.logger.info(`Successfully processed specs from ${specDir} to ${outDir} (${run.written} written, ${run.skipped} unchanged, ${removed} removed)`);
+            return { written: run.written, skipped: run.skipped, removed, unresolved: run.unresolved };
             
         } catch (error) {
+            if (error instanceof UnresolvedPlaceholdersError) {
+                throw error;
+            }
             throw new Error(`Preprocessing failed: ${error.message}`);
         } finally {
             // Cleanup
@@ -28,7 +118,36 @@ class Preprocessor {
         }
     }
 
-    async processDirectoryRecursive(currentDir, outDir, baseDir) {
+    // Fail with every unresolved placeholder of the run, unless the policy
+    // copies the originals
+    checkUnresolved(run, copiedMessage) {
+        if (run.unresolved.length === 0) {
+            return;
+        }
+        if (run.errorPolicy !== 'copy-original') {
+            throw new UnresolvedPlaceholdersError(run.unresolved);
+        }
+        this.logger.warn(`${copiedMessage} with ${UnresolvedPlaceholdersError.summarize(run.unresolved)}`);
+    }
+
+    // State shared by the files of one run into `outDir`. `placeholders`
+    // maps each processed source to the lookups its placeholders made, see
+    // ParamResolver.resolveText.
+    async createRun(outDir, options = {}) {
+        return {
+            manifest: await ResolutionManifest.load(outDir),
+            outDir,
+            errorPolicy: options.errorPolicy || 'collect',
+            force: options.force === true,
+            written: 0,
+            skipped: 0,
+            unresolved: [],
+            placeholders: new Map()
+        };
+    }
+
+    // `run` carries either a dry-run `preview` or the `manifest` to update
+    async processDirectoryRecursive(currentDir, outDir, baseDir, run = {}) {
         try {
             const items = await fs.readdir(currentDir, { withFileTypes: true });
             
@@ -39,48 +158,248 @@ class Preprocessor {
                 
                 if (item.isDirectory()) {
                     // Recursively process subdirectories
-                    await this.ensureDirectoryExists(targetPath);
-                    await this.processDirectoryRecursive(sourcePath, outDir, baseDir);
-                } else if (item.isFile() && this.isSpecFile(item.name)) {
-                    // Process spec file
-                    await this.processSpecFile(sourcePath, targetPath);
-                } else {
-                    // Copy non-spec files as-is
-                    await this.copyFile(sourcePath, targetPath);
+                    if (!run.preview) {
+                        await this.ensureDirectoryExists(targetPath);
+                    }
+                    await this.processDirectoryRecursive(sourcePath, outDir, baseDir, run);
+                } else if (item.isFile() && this.fileHandlers.getHandler(item.name)) {
+                    // Process spec, concept, CSV and other handled files
+                    if (run.preview) {
+                        await this.previewSpecFile(sourcePath, targetPath, run);
+                    } else {
+                        await this.processSpecFile(sourcePath, targetPath, run);
+                    }
+                } else if (!run.preview) {
+                    // Copy other files as-is
+                    await this.copyTrackedFile(sourcePath, targetPath, run);
                 }
             }
         } catch (error) {
+            if (error instanceof UnresolvedPlaceholdersError) {
+                throw error;
+            }
             throw new Error(`Failed to process directory ${currentDir}: ${error.message}`);
         }
     }
 
-    async processSpecFile(sourcePath, targetPath) {
+    // `run` holds the error policy and, for directory runs, the manifest
+    async processSpecFile(sourcePath, targetPath, run = { errorPolicy: 'collect', unresolved: [] }) {
+        const handler = this.fileHandlers.getHandler(sourcePath, 'text');
+        const manifestKey = run.manifest ? this.getManifestKey(run, targetPath) : null;
+        let content = null;
+        
         try {
-            console.log(`Processing spec file: ${sourcePath}`);
+            this.logger.debug(`Processing ${handler.name} file: ${sourcePath}`);
             
             // Read the original spec file
-            const content = await fs.readFile(sourcePath, 'utf8');
+            content = await fs.readFile(sourcePath, 'utf8');
             
             // Resolve placeholders in the content
-            const resolvedContent = await this.paramResolver.resolveText(content);
+            // Lookups made before a failure are recorded too, for watch mode
+            const lookups = [];
+            let resolvedContent;
+            try {
+                resolvedContent = await handler.resolve(content, text => this.paramResolver.resolveText(text, null, lookups));
+            } finally {
+                if (run.placeholders) {
+                    run.placeholders.set(sourcePath, lookups);
+                }
+            }
             
-            // Ensure target directory exists
-            await this.ensureDirectoryExists(path.dirname(targetPath));
+            // Values are re-resolved every run; only the write is skipped
+            if (run.manifest) {
+                const hash = ResolutionManifest.hash(content);
+                const output = ResolutionManifest.hash(resolvedContent);
+                if (await this.isOutputCurrent(run, manifestKey, targetPath, hash, handler.name, output)) {
+                    this.logger.debug(`Unchanged, skipping: ${sourcePath}`);
+                    return;
+                }
+                run.manifest.set(manifestKey, { hash, handler: handler.name, output });
+                run.written++;
+            }
             
-            // Write the resolved content to the target file
-            await fs.writeFile(targetPath, resolvedContent, 'utf8');
+            if (run.inPlace) {
+                // Synchronous, so an interrupt handler never races this write
+                SpecBackup.writeFileAtomic(targetPath, resolvedContent);
+            } else {
+                // Ensure target directory exists
+                await this.ensureDirectoryExists(path.dirname(targetPath));
+                
+                // Write the resolved content to the target file
+                await fs.writeFile(targetPath, resolvedContent, 'utf8');
+            }
             
-            console.log(`Resolved placeholders in: ${sourcePath} -> ${targetPath}`);
+            this.logger.info(`Resolved placeholders in: ${sourcePath} -> ${targetPath}`);
             
         } catch (error) {
-            console.error(`Failed to process spec file ${sourcePath}:`, error.message);
+            // Reported together in the summary at the end of the run
+            this.logger.debug(`Failed to process spec file ${sourcePath}: ${this.paramResolver.mask(error.message)}`);
+            
+            const unresolved = content === null
+                ? [{ file: sourcePath, line: null, placeholder: null, error: this.paramResolver.mask(error.message) }]
+                : await this.findUnresolvedPlaceholders(sourcePath, content, error);
+            run.unresolved.push(...unresolved);
+            
+            // Track the file so it is retried next run and removed with its
+            // source. Unless the original is copied over it, an output written
+            // by an earlier run is removed so it is not mistaken for current.
+            if (run.manifest) {
+                if (run.manifest.get(manifestKey) && run.errorPolicy !== 'copy-original' && !run.inPlace) {
+                    await fs.rm(targetPath, { force: true });
+                }
+                run.manifest.set(manifestKey, { hash: null, handler: handler.name, output: null });
+            }
+            
+            if (run.errorPolicy === 'fail-fast') {
+                throw new UnresolvedPlaceholdersError(unresolved);
+            }
+            if (run.errorPolicy === 'collect' || run.inPlace) {
+                return;
+            }
             
             // Copy original file if processing fails
             try {
                 await this.copyFile(sourcePath, targetPath);
-                console.warn(`Copied original file due to processing error: ${sourcePath}`);
+                this.logger.warn(`Copied original file due to processing error: ${sourcePath}`);
             } catch (copyError) {
-                throw new Error(`Failed to process or copy spec file ${sourcePath}: ${error.message}`);
+                throw new Error(`Failed to process or copy spec file ${sourcePath}: ${this.paramResolver.mask(error.message)}`);
+            }
+        }
+    }
+
+    // Resolve each placeholder on its own, as validate does, so the summary
+    // lists every failure in the file rather than the first one
+    async findUnresolvedPlaceholders(filePath, content, fileError) {
+        const unresolved = [];
+        const { placeholders, errors } = PlaceholderParser.parse(content, this.paramResolver.getParserOptions());
+        
+        for (const syntaxError of errors) {
+            unresolved.push({ file: filePath, line: syntaxError.line, placeholder: null, error: `Invalid placeholder syntax: ${syntaxError.reason}` });
+        }
+        
+        try {
+            for (const placeholder of this.paramResolver.orderByDependencies(placeholders)) {
+                try {
+                    await this.paramResolver.resolveText(placeholder.fullMatch);
+                } catch (error) {
+                    unresolved.push({ file: filePath, line: placeholder.line, placeholder: placeholder.fullMatch, error: this.paramResolver.mask(error.message) });
+                }
+            }
+        } catch (error) {
+            // A reference cycle fails the whole file
+        }
+        
+        // The handler failed for another reason, e.g. invalid JSON
+        if (unresolved.length === 0) {
+            unresolved.push({ file: filePath, line: null, placeholder: null, error: this.paramResolver.mask(fileError.message) });
+        }
+        
+        return unresolved;
+    }
+
+    async copyTrackedFile(sourcePath, targetPath, run) {
+        const manifestKey = this.getManifestKey(run, targetPath);
+        const hash = ResolutionManifest.hash(await fs.readFile(sourcePath));
+        
+        if (await this.isOutputCurrent(run, manifestKey, targetPath, hash, null, hash)) {
+            return;
+        }
+        
+        await this.copyFile(sourcePath, targetPath);
+        run.manifest.set(manifestKey, { hash, handler: null, output: hash });
+        run.written++;
+    }
+
+    // Manifest entries are keyed by output path relative to the out dir
+    getManifestKey(run, targetPath) {
+        return path.relative(run.outDir, targetPath).split(path.sep).join('/');
+    }
+
+    async isOutputCurrent(run, manifestKey, targetPath, hash, handlerName, outputHash) {
+        if (run.force || !run.manifest.isCurrent(manifestKey, hash, handlerName, outputHash)) {
+            return false;
+        }
+        
+        try {
+            await fs.access(targetPath);
+        } catch (error) {
+            return false;
+        }
+        
+        run.manifest.keep(manifestKey);
+        run.skipped++;
+        return true;
+    }
+
+    // Remove outputs recorded by an earlier run whose source no longer exists
+    async removeDeletedOutputs(outDir, manifest) {
+        let removed = 0;
+        
+        for (const manifestKey of manifest.unseen()) {
+            const targetPath = path.join(outDir, ...manifestKey.split('/'));
+            manifest.remove(manifestKey);
+            
+            // Never follow an edited manifest out of the out dir
+            const relativePath = path.relative(outDir, targetPath);
+            if (!relativePath || relativePath.split(path.sep)[0] === '..' || path.isAbsolute(relativePath)) {
+                continue;
+            }
+            
+            try {
+                await fs.rm(targetPath, { force: true });
+                this.logger.info(`Removed output of deleted source: ${targetPath}`);
+                removed++;
+            } catch (error) {
+                this.logger.warn(`Failed to remove ${targetPath}: ${error.message}`);
+            }
+        }
+        
+        return removed;
+    }
+
+    // `run` holds the `preview` to add to, the error policy and the
+    // unresolved placeholders so far
+    async previewSpecFile(sourcePath, targetPath, run) {
+        const preview = run.preview;
+        preview.totalFiles++;
+        let content = null;
+        
+        try {
+            const handler = this.fileHandlers.getHandler(sourcePath, 'text');
+            content = await fs.readFile(sourcePath, 'utf8');
+            const resolvedContent = await handler.resolve(content, text => this.paramResolver.resolveText(text));
+            
+            if (resolvedContent === content) {
+                return;
+            }
+            
+            // Secrets are tracked as they resolve, so both sides can be masked
+            const maskedOriginal = this.paramResolver.mask(content);
+            const maskedContent = this.paramResolver.mask(resolvedContent);
+            const originalLines = TextDiff.splitLines(maskedOriginal);
+            
+            preview.files.push({
+                sourcePath,
+                targetPath,
+                lines: TextDiff.changedLines(maskedOriginal, maskedContent).map(line => ({
+                    line,
+                    text: originalLines[line - 1] || ''
+                })),
+                diff: preview.diff
+                    ? TextDiff.unified(maskedOriginal, maskedContent, { fromFile: sourcePath, toFile: targetPath })
+                    : null
+            });
+            
+        } catch (error) {
+            this.logger.debug(`Failed to preview spec file ${sourcePath}: ${this.paramResolver.mask(error.message)}`);
+            
+            const unresolved = content === null
+                ? [{ file: sourcePath, line: null, placeholder: null, error: this.paramResolver.mask(error.message) }]
+                : await this.findUnresolvedPlaceholders(sourcePath, content, error);
+            run.unresolved.push(...unresolved);
+            
+            if (run.errorPolicy === 'fail-fast') {
+                throw new UnresolvedPlaceholdersError(unresolved);
             }
         }
     }
@@ -108,27 +427,29 @@ class Preprocessor {
         }
     }
 
-    isSpecFile(filename) {
-        // Gauge spec files typically have .spec extension
-        const specExtensions = ['.spec', '.md'];
-        const ext = path.extname(filename).toLowerCase();
-        return specExtensions.includes(ext);
-    }
-
-    async processFile(filePath, outputPath = null) {
+    async processFile(filePath, outputPath = null, options = {}) {
+        const run = { errorPolicy: Preprocessor.checkErrorPolicy(options.errorPolicy || 'collect'), unresolved: [] };
+        
         try {
             // Initialize the parameter resolver
             await this.paramResolver.initialize();
+            this.configureFileHandlers();
             
             // Determine output path
             const targetPath = outputPath || this.getDefaultOutputPath(filePath);
             
             // Process the file
-            await this.processSpecFile(filePath, targetPath);
+            await this.processSpecFile(filePath, targetPath, run);
+            if (run.unresolved.length > 0 && run.errorPolicy !== 'copy-original') {
+                throw new UnresolvedPlaceholdersError(run.unresolved);
+            }
             
-            console.log(`Successfully processed file: ${filePath} -> ${targetPath}`);
+            this.logger.info(`Successfully processed file: ${filePath} -> ${targetPath}`);
             
         } catch (error) {
+            if (error instanceof UnresolvedPlaceholdersError) {
+                throw error;
+            }
             throw new Error(`Failed to process file ${filePath}: ${error.message}`);
         } finally {
             // Cleanup
@@ -136,6 +457,90 @@ class Preprocessor {
         }
     }
 
+    // Rewrite handled files in `specDir` itself after backing up the originals
+    // to `backupDir` (see SpecBackup). If the run fails or is interrupted by
+    // SIGINT/SIGTERM the originals are put back; otherwise they stay in the
+    // backup until restoreInPlace() is called.
+    async processInPlace(specDir, options = {}) {
+        const run = {
+            inPlace: true,
+            errorPolicy: Preprocessor.checkErrorPolicy(options.errorPolicy || 'collect'),
+            unresolved: []
+        };
+        const backup = new SpecBackup(specDir, options.backupDir);
+        let backedUp = false;
+        
+        const restoreOnSignal = (signal) => {
+            this.logger.warn(`Received ${signal}, restoring original specs from ${backup.backupDir}`);
+            if (backedUp) {
+                backup.restore();
+            }
+            process.exit(signal === 'SIGINT' ? 130 : 143);
+        };
+        process.on('SIGINT', restoreOnSignal);
+        process.on('SIGTERM', restoreOnSignal);
+        
+        try {
+            await this.paramResolver.initialize();
+            this.configureFileHandlers();
+            
+            const files = await this.listHandledFiles(specDir);
+            backup.create(files);
+            backedUp = true;
+            
+            for (const file of files) {
+                const specPath = path.join(specDir, file);
+                await this.processSpecFile(specPath, specPath, run);
+            }
+            
+            if (run.unresolved.length > 0) {
+                if (run.errorPolicy !== 'copy-original') {
+                    throw new UnresolvedPlaceholdersError(run.unresolved);
+                }
+                this.logger.warn(`Left files unresolved with ${UnresolvedPlaceholdersError.summarize(run.unresolved)}`);
+            }
+            
+            this.logger.info(`Resolved ${files.length} files in place in ${specDir}, originals backed up to ${backup.backupDir}`);
+            return { files, backupDir: backup.backupDir, unresolved: run.unresolved };
+            
+        } catch (error) {
+            if (backedUp) {
+                backup.restore();
+                this.logger.warn('Restored original specs after failure');
+            }
+            if (error instanceof UnresolvedPlaceholdersError) {
+                throw error;
+            }
+            throw new Error(`In-place preprocessing failed: ${error.message}`);
+        } finally {
+            process.removeListener('SIGINT', restoreOnSignal);
+            process.removeListener('SIGTERM', restoreOnSignal);
+            await this.paramResolver.cleanup();
+        }
+    }
+
+    // Put back the originals saved by processInPlace()
+    static restoreInPlace(backupDir = null) {
+        return new SpecBackup(null, backupDir).restore();
+    }
+
+    // Paths, relative to `baseDir`, of files a handler resolves
+    async listHandledFiles(currentDir, baseDir = currentDir) {
+        const files = [];
+        const items = await fs.readdir(currentDir, { withFileTypes: true });
+        
+        for (const item of items) {
+            const itemPath = path.join(currentDir, item.name);
+            if (item.isDirectory()) {
+                files.push(...await this.listHandledFiles(itemPath, baseDir));
+            } else if (item.isFile() && this.fileHandlers.getHandler(item.name)) {
+                files.push(path.relative(baseDir, itemPath));
+            }
+        }
+        
+        return files;
+    }
+
     getDefaultOutputPath(filePath) {
         const dir = path.dirname(filePath);
         const ext = path.extname(filePath);
@@ -148,10 +553,14 @@ class Preprocessor {
         try {
             // Initialize the parameter resolver
             await this.paramResolver.initialize();
+            this.configureFileHandlers();
             
             const validationResults = {
+                specDir: specDir,
                 totalFiles: 0,
                 processedFiles: 0,
+                totalPlaceholders: 0,
+                files: [],
                 errors: [],
                 warnings: []
             };
@@ -179,8 +588,8 @@ class Preprocessor {
                 if (item.isDirectory()) {
                     // Recursively validate subdirectories
                     await this.validateDirectoryRecursive(itemPath, results);
-                } else if (item.isFile() && this.isSpecFile(item.name)) {
-                    // Validate spec file
+                } else if (item.isFile() && this.fileHandlers.getHandler(item.name)) {
+                    // Validate spec, concept, CSV and other handled files
                     results.totalFiles++;
                     await this.validateSpecFile(itemPath, results);
                 }
@@ -194,24 +603,84 @@ class Preprocessor {
     }
 
     async validateSpecFile(filePath, results) {
+        const startTime = Date.now();
+        const fileResult = {
+            file: filePath,
+            placeholders: 0,
+            errors: [],
+            warnings: [],
+            duration: 0
+        };
+        results.files.push(fileResult);
+        
         try {
-            console.log(`Validating spec file: ${filePath}`);
+            this.logger.debug(`Validating spec file: ${filePath}`);
             
             // Read the spec file
             const content = await fs.readFile(filePath, 'utf8');
+            const { placeholders, errors } = PlaceholderParser.parse(content, this.paramResolver.getParserOptions());
+            fileResult.placeholders = placeholders.length + errors.length;
+            results.totalPlaceholders += placeholders.length + errors.length;
+            
+            for (const syntaxError of errors) {
+                const entry = {
+                    file: filePath,
+                    line: syntaxError.line,
+                    column: syntaxError.column,
+                    error: `Invalid placeholder syntax: ${syntaxError.message}`
+                };
+                fileResult.errors.push(entry);
+                results.errors.push(entry);
+            }
             
-            // Try to resolve placeholders
-            await this.paramResolver.resolveText(content);
+            // Resolve each placeholder on its own so every failure is reported,
+            // not just the first one in the file. Placeholders referenced via
+            // ${name} are resolved before the ones that use them.
+            for (const placeholder of this.paramResolver.orderByDependencies(placeholders)) {
+                try {
+                    await this.paramResolver.resolveText(placeholder.fullMatch);
+                    
+                    // Surface values served by a different source than requested
+                    const resolution = this.paramResolver.resolutionReport.get(placeholder.fullMatch);
+                    if (resolution && resolution.fallback) {
+                        const warning = {
+                            file: filePath,
+                            placeholder: placeholder.fullMatch,
+                            line: placeholder.line,
+                            warning: `Requested source '${resolution.requestedSource}' but was served by '${resolution.servedBy}'`
+                        };
+                        fileResult.warnings.push(warning);
+                        results.warnings.push(warning);
+                    }
+                } catch (error) {
+                    const entry = {
+                        file: filePath,
+                        placeholder: placeholder.fullMatch,
+                        line: placeholder.line,
+                        error: this.paramResolver.mask(error.message)
+                    };
+                    fileResult.errors.push(entry);
+                    results.errors.push(entry);
+                }
+            }
             
-            results.processedFiles++;
-            console.log(`✓ Validation passed: ${filePath}`);
+            if (fileResult.errors.length === 0) {
+                results.processedFiles++;
+                this.logger.info(`✓ Validation passed: ${filePath}`);
+            } else {
+                this.logger.error(`✗ Validation failed: ${filePath} - ${fileResult.errors.length} unresolved placeholder(s)`);
+            }
             
         } catch (error) {
-            results.errors.push({
+            const entry = {
                 file: filePath,
-                error: error.message
-            });
-            console.error(`✗ Validation failed: ${filePath} - ${error.message}`);
+                error: this.paramResolver.mask(error.message)
+            };
+            fileResult.errors.push(entry);
+            results.errors.push(entry);
+            this.logger.error(`✗ Validation failed: ${filePath} - ${entry.error}`);
+        } finally {
+            fileResult.duration = Date.now() - startTime;
         }
     }
 
@@ -219,30 +688,39 @@ class Preprocessor {
     async findPlaceholders(filePath) {
         try {
             const content = await fs.readFile(filePath, 'utf8');
-            const placeholderRegex = /<([^:]+):([^#]+)#([^|>]+)(?:\|([^>]+))?>/g;
-            const placeholders = [];
-            
-            let match;
-            while ((match = placeholderRegex.exec(content)) !== null) {
-                placeholders.push({
-                    fullMatch: match[0],
-                    name: match[1],
-                    source: match[2],
-                    key: match[3],
-                    defaultValue: match[4] || null,
-                    position: {
-                        start: match.index,
-                        end: match.index + match[0].length
-                    }
-                });
+            const { placeholders, errors } = PlaceholderParser.parse(content, this.paramResolver.getParserOptions());
+            
+            for (const error of errors) {
+                this.logger.warn(`Invalid placeholder in ${filePath}: ${error.message}`);
             }
             
-            return placeholders;
+            return placeholders.map(placeholder => this.describePlaceholder(placeholder));
         } catch (error) {
             throw new Error(`Failed to analyze file ${filePath}: ${error.message}`);
         }
     }
 
+    findPlaceholdersInContent(content) {
+        const { placeholders } = PlaceholderParser.parse(content, this.paramResolver.getParserOptions());
+        return placeholders.map(placeholder => this.describePlaceholder(placeholder));
+    }
+
+    describePlaceholder(placeholder) {
+        return {
+            fullMatch: placeholder.fullMatch,
+            name: placeholder.name,
+            source: placeholder.source,
+            key: placeholder.key,
+            defaultValue: placeholder.defaultValue === undefined ? null : placeholder.defaultValue,
+            line: placeholder.line,
+            column: placeholder.column,
+            position: {
+                start: placeholder.start,
+                end: placeholder.end
+            }
+        };
+    }
+
     // Utility method to get statistics about placeholder usage
     async getPlaceholderStatistics(specDir) {
         const stats = {
@@ -251,9 +729,20 @@ class Preprocessor {
             totalPlaceholders: 0,
             sourceTypes: {},
             mostUsedSources: [],
+            placeholdersByFile: {},
+            placeholdersByKey: [],
+            conflictingDefaults: [],
             placeholderDetails: []
         };
         
+        // Chains and sources declared in the config are placeholder sources
+        // too; loading the config is enough, nothing is initialized
+        const { errors } = await this.paramResolver.checkConfig();
+        for (const error of errors) {
+            this.logger.warn(`Config ${error}`);
+        }
+        this.configureFileHandlers();
+        
         await this.gatherStatsRecursive(specDir, stats);
         
         // Calculate most used sources
@@ -261,9 +750,55 @@ class Preprocessor {
             .sort(([,a], [,b]) => b - a)
             .map(([source, count]) => ({ source, count }));
         
+        stats.placeholdersByKey = this.groupPlaceholdersByKey(stats.placeholderDetails);
+        stats.conflictingDefaults = stats.placeholdersByKey.filter(entry => entry.defaults.length > 1);
+        
         return stats;
     }
 
+    groupPlaceholdersByKey(placeholderDetails) {
+        const groups = new Map();
+        
+        for (const placeholder of placeholderDetails) {
+            const groupKey = `${placeholder.source}#${placeholder.key}`;
+            
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, {
+                    source: placeholder.source,
+                    key: placeholder.key,
+                    count: 0,
+                    files: new Set(),
+                    defaults: new Map()
+                });
+            }
+            
+            const group = groups.get(groupKey);
+            group.count++;
+            group.files.add(placeholder.file);
+            
+            // Track which files use each default so conflicts can be traced back.
+            // A missing default counts as its own variant.
+            const defaultValue = placeholder.defaultValue;
+            if (!group.defaults.has(defaultValue)) {
+                group.defaults.set(defaultValue, new Set());
+            }
+            group.defaults.get(defaultValue).add(placeholder.file);
+        }
+        
+        return [...groups.values()]
+            .map(group => ({
+                source: group.source,
+                key: group.key,
+                count: group.count,
+                files: [...group.files],
+                defaults: [...group.defaults.entries()].map(([value, files]) => ({
+                    value,
+                    files: [...files]
+                }))
+            }))
+            .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+    }
+
     async gatherStatsRecursive(currentDir, stats) {
         try {
             const items = await fs.readdir(currentDir, { withFileTypes: true });
@@ -273,7 +808,7 @@ class Preprocessor {
                 
                 if (item.isDirectory()) {
                     await this.gatherStatsRecursive(itemPath, stats);
-                } else if (item.isFile() && this.isSpecFile(item.name)) {
+                } else if (item.isFile() && this.fileHandlers.getHandler(item.name)) {
                     stats.totalFiles++;
                     
                     try {
@@ -281,6 +816,7 @@ class Preprocessor {
                         
                         if (placeholders.length > 0) {
                             stats.filesWithPlaceholders++;
+                            stats.placeholdersByFile[itemPath] = placeholders.length;
                             stats.totalPlaceholders += placeholders.length;
                             
                             for (const placeholder of placeholders) {
@@ -298,14 +834,15 @@ class Preprocessor {
                             }
                         }
                     } catch (error) {
-                        console.warn(`Failed to analyze placeholders in ${itemPath}:`, error.message);
+                        this.logger.warn(`Failed to analyze placeholders in ${itemPath}: ${error.message}`);
                     }
                 }
             }
         } catch (error) {
-            console.warn(`Failed to read directory ${currentDir}:`, error.message);
+            this.logger.warn(`Failed to read directory ${currentDir}: ${error.message}`);
         }
     }
 }
 
-module.exports = Preprocessor;
\ No newline at end of file
+module.exports = Preprocessor;
+module.exports.UnresolvedPlaceholdersError = UnresolvedPlaceholdersError;
\ No newline at end of file
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const FILE_NAME = '.gauge-external-params-manifest.json';
+const VERSION = 2;
+
+// Records what the last preprocess run wrote to the out dir, keyed by output
+// path relative to the out dir:
+//
+//   { "hash": "<sha256 of the source>", "handler": "text" | null,
+//     "output": "<sha256 of the resolved output>" }
+//
+// A file is skipped when its source, handler and resolved output are
+// unchanged. Nothing is recorded per value: a hash of a single value could
+// be guessed offline for short secrets, while the output hash only covers
+// content that sits next to the manifest in the out dir anyway.
+class ResolutionManifest {
+    constructor(data = {}) {
+        this.files = data.files || {};
+        this.seen = new Set();
+    }
+
+    static get FILE_NAME() {
+        return FILE_NAME;
+    }
+
+    // A missing, unreadable or outdated manifest means a full run
+    static async load(outDir) {
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(outDir, FILE_NAME), 'utf8'));
+            if (data && data.version === VERSION) {
+                return new ResolutionManifest(data);
+            }
+        } catch (error) {
+            // Fall through to an empty manifest
+        }
+        return new ResolutionManifest();
+    }
+
+    static hash(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    get(relativePath) {
+        return this.files[relativePath] || null;
+    }
+
+    set(relativePath, entry) {
+        this.files[relativePath] = entry;
+        this.seen.add(relativePath);
+    }
+
+    // Keep an entry without rewriting it, e.g. for a skipped file
+    keep(relativePath) {
+        this.seen.add(relativePath);
+    }
+
+    // Entries whose source was not seen in this run, i.e. deleted specs
+    unseen() {
+        return Object.keys(this.files).filter(relativePath => !this.seen.has(relativePath));
+    }
+
+    remove(relativePath) {
+        delete this.files[relativePath];
+    }
+
+    // True when the entry matches the source and the freshly resolved output
+    isCurrent(relativePath, hash, handlerName, outputHash) {
+        const entry = this.get(relativePath);
+        return Boolean(entry) && entry.hash === hash && entry.handler === handlerName && entry.output === outputHash;
+    }
+
+    async save(outDir) {
+        const data = { version: VERSION, files: this.files };
+        await fs.writeFile(path.join(outDir, FILE_NAME), JSON.stringify(data, null, 2) + '\n', 'utf8');
+    }
+}
+
+module.exports = ResolutionManifest;
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = '.gauge-external-params-backup';
+const INDEX_FILE = 'backup.json';
+
+// Originals of specs rewritten by `preprocess --in-place`:
+//
+//   <backupDir>/backup.json   { "specDir": "/abs/specs", "files": ["a.spec", ...] }
+//   <backupDir>/files/...     the original files
+//
+// backup.json is written last, so a backup without it is incomplete and
+// the specs were never touched. All file operations are synchronous: a
+// SIGINT/SIGTERM handler can restore without racing a pending write, and a
+// restore cannot be cut short by a signal delivered on the event loop.
+class SpecBackup {
+    constructor(specDir, backupDir = null) {
+        this.specDir = specDir ? path.resolve(specDir) : null;
+        this.backupDir = path.resolve(backupDir || DEFAULT_DIR);
+        this.indexPath = path.join(this.backupDir, INDEX_FILE);
+    }
+
+    static get DEFAULT_DIR() {
+        return DEFAULT_DIR;
+    }
+
+    exists() {
+        return fs.existsSync(this.indexPath);
+    }
+
+    // Copy `files` (relative to the spec dir) into the backup
+    create(files) {
+        const relativeBackup = path.relative(this.specDir, this.backupDir);
+        if (!relativeBackup || (relativeBackup.split(path.sep)[0] !== '..' && !path.isAbsolute(relativeBackup))) {
+            throw new Error(`Backup directory ${this.backupDir} must be outside the spec directory ${this.specDir}`);
+        }
+        if (this.exists()) {
+            throw new Error(`Specs were already preprocessed in place, backup at ${this.backupDir}. Run the restore command first`);
+        }
+
+        try {
+            fs.rmSync(this.backupDir, { recursive: true, force: true });
+            for (const file of files) {
+                const backupPath = path.join(this.backupDir, 'files', file);
+                fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+                fs.copyFileSync(path.join(this.specDir, file), backupPath);
+            }
+            SpecBackup.writeFileAtomic(this.indexPath, JSON.stringify({
+                specDir: this.specDir,
+                files,
+                createdAt: new Date().toISOString()
+            }, null, 2) + '\n');
+        } catch (error) {
+            fs.rmSync(this.backupDir, { recursive: true, force: true });
+            throw new Error(`Failed to back up specs to ${this.backupDir}: ${error.message}`);
+        }
+    }
+
+    // Put every original back, then delete the backup. Safe to run again if
+    // interrupted; returns the restored paths.
+    restore() {
+        if (!this.exists()) {
+            throw new Error(`No in-place backup found at ${this.backupDir}`);
+        }
+
+        let index;
+        try {
+            index = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read ${this.indexPath}: ${error.message}`);
+        }
+
+        const restored = [];
+        for (const file of index.files) {
+            const specPath = path.join(index.specDir, file);
+            const tempPath = `${specPath}.${process.pid}.tmp`;
+            fs.mkdirSync(path.dirname(specPath), { recursive: true });
+            fs.copyFileSync(path.join(this.backupDir, 'files', file), tempPath);
+            fs.renameSync(tempPath, specPath);
+            restored.push(specPath);
+        }
+
+        fs.rmSync(this.backupDir, { recursive: true, force: true });
+        return restored;
+    }
+
+    // Write via a temp file and rename, so a file is never left half-written
+    static writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, filePath);
+    }
+}
+
+module.exports = SpecBackup;
@@ -0,0 +1,258 @@
+// Line-based diff used by `preprocess --dry-run` and `--diff`. Data tables
+// such as CSV files can be large, so this uses Myers' algorithm, which is
+// fast when few lines change, and keeps memory bounded: past MAX_EDITS
+// changed lines the remaining lines are compared one to one, which suits
+// placeholder substitution since it mostly keeps lines aligned.
+const MAX_EDITS = 1000;
+
+class TextDiff {
+    static splitLines(text) {
+        const lines = text.split(/\r?\n/);
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    // Edit script of { type: 'equal' | 'remove' | 'add', text, oldLine, newLine }
+    // with 1-based line numbers (null on the side a line is missing from) and
+    // oldBefore/newBefore, the number of lines of each side preceding the op
+    static diffLines(original, updated) {
+        const a = TextDiff.splitLines(original);
+        const b = TextDiff.splitLines(updated);
+
+        // Unchanged head and tail need no table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        const equal = (i, j) => ops.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: j + 1 });
+
+        for (let k = 0; k < start; k++) {
+            equal(k, k);
+        }
+
+        const middle = TextDiff.myers(a, b, start, endA, endB) || TextDiff.aligned(a, b, start, endA, endB);
+        ops.push(...TextDiff.removalsFirst(middle));
+
+        for (let k = 0; k < a.length - endA; k++) {
+            equal(endA + k, endB + k);
+        }
+
+        // Lines of each side before every op, for hunk headers
+        let oldBefore = 0;
+        let newBefore = 0;
+        for (const op of ops) {
+            op.oldBefore = oldBefore;
+            op.newBefore = newBefore;
+            oldBefore += op.oldLine !== null ? 1 : 0;
+            newBefore += op.newLine !== null ? 1 : 0;
+        }
+
+        return ops;
+    }
+
+    // Shortest edit script between a[start, endA) and b[start, endB), or
+    // null when it needs more than MAX_EDITS edits. Each step keeps only the
+    // diagonals it reached, so memory grows with the edits, not the lines.
+    static myers(a, b, start, endA, endB) {
+        const n = endA - start;
+        const m = endB - start;
+        const max = Math.min(n + m, MAX_EDITS);
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[start + x] === b[start + y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    return TextDiff.backtrack(a, b, start, trace, n, m);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Walk the saved steps back from the end to build the edit script
+    static backtrack(a, b, start, trace, n, m) {
+        const ops = [];
+        let x = n;
+        let y = m;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            // trace[d] holds diagonals -d - 1 to d + 1 from before step d
+            const reached = k => trace[d][k + d + 1];
+            const k = x - y;
+            const previousK = k === -d || (k !== d && reached(k - 1) < reached(k + 1)) ? k + 1 : k - 1;
+            const previousX = reached(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                x--;
+                y--;
+                ops.push({ type: 'equal', text: a[start + x], oldLine: start + x + 1, newLine: start + y + 1 });
+            }
+            if (d > 0) {
+                if (x === previousX) {
+                    ops.push({ type: 'add', text: b[start + y - 1], oldLine: null, newLine: start + y });
+                } else {
+                    ops.push({ type: 'remove', text: a[start + x - 1], oldLine: start + x, newLine: null });
+                }
+            }
+            x = previousX;
+            y = previousY;
+        }
+
+        return ops.reverse();
+    }
+
+    // Line i of one side against line i of the other
+    static aligned(a, b, start, endA, endB) {
+        const ops = [];
+
+        for (let offset = 0; start + offset < endA || start + offset < endB; offset++) {
+            const i = start + offset;
+            if (i < endA && i < endB && a[i] === b[i]) {
+                ops.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: i + 1 });
+                continue;
+            }
+            if (i < endA) {
+                ops.push({ type: 'remove', text: a[i], oldLine: i + 1, newLine: null });
+            }
+            if (i < endB) {
+                ops.push({ type: 'add', text: b[i], oldLine: null, newLine: i + 1 });
+            }
+        }
+
+        return ops;
+    }
+
+    // Within each run of changes, removals come first, so a changed line
+    // reads as "-old" then "+new"
+    static removalsFirst(ops) {
+        const sorted = [];
+        let run = [];
+        const flush = () => {
+            sorted.push(...run.filter(op => op.type === 'remove'), ...run.filter(op => op.type === 'add'));
+            run = [];
+        };
+
+        for (const op of ops) {
+            if (op.type === 'equal') {
+                flush();
+                sorted.push(op);
+            } else {
+                run.push(op);
+            }
+        }
+        flush();
+
+        return sorted;
+    }
+
+    // Original line numbers that differ in the updated text
+    static changedLines(original, updated) {
+        const changed = new Set();
+        let lastOldLine = 0;
+
+        for (const op of TextDiff.diffLines(original, updated)) {
+            if (op.type === 'remove') {
+                changed.add(op.oldLine);
+            } else if (op.type === 'add') {
+                // A pure insertion is reported against the line before it
+                changed.add(Math.max(lastOldLine, 1));
+            }
+            if (op.oldLine !== null) {
+                lastOldLine = op.oldLine;
+            }
+        }
+
+        return [...changed].sort((x, y) => x - y);
+    }
+
+    // Unified diff in the format of `diff -u`, or '' when nothing changed
+    static unified(original, updated, options = {}) {
+        const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+        const ops = TextDiff.diffLines(original, updated);
+        const hunks = [];
+        let hunk = null;
+        let trailingEqual = 0;
+
+        ops.forEach((op, index) => {
+            if (op.type !== 'equal') {
+                if (!hunk) {
+                    hunk = { ops: ops.slice(Math.max(0, index - context), index) };
+                    hunks.push(hunk);
+                }
+                hunk.ops.push(op);
+                trailingEqual = 0;
+                return;
+            }
+
+            if (hunk) {
+                // Close the hunk once the gap is too wide to bridge
+                if (trailingEqual < context * 2) {
+                    hunk.ops.push(op);
+                    trailingEqual++;
+                } else {
+                    hunk.ops.splice(hunk.ops.length - (trailingEqual - context));
+                    hunk = null;
+                }
+            }
+        });
+
+        if (hunk && trailingEqual > context) {
+            hunk.ops.splice(hunk.ops.length - (trailingEqual - context));
+        }
+
+        if (hunks.length === 0) {
+            return '';
+        }
+
+        const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+        for (const { ops: hunkOps } of hunks) {
+            lines.push(TextDiff.hunkHeader(hunkOps));
+            for (const op of hunkOps) {
+                const prefix = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+                lines.push(prefix + op.text);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    // "@@ -start,count +start,count @@"; an empty side starts at the line
+    // before the hunk, as in `diff -u`
+    static hunkHeader(ops) {
+        const range = (key, beforeKey) => {
+            const lines = ops.filter(op => op[key] !== null);
+            const start = lines.length > 0 ? lines[0][key] : ops[0][beforeKey];
+            return `${start},${lines.length}`;
+        };
+
+        return `@@ -${range('oldLine', 'oldBefore')} +${range('newLine', 'newBefore')} @@`;
+    }
+}
+
+module.exports = TextDiff;
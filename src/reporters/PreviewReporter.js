@@ -0,0 +1,46 @@
+// Renders the result of `preprocess --dry-run` (files and lines that would
+// change) or `--diff` (unified diffs). Values are already masked.
+class PreviewReporter {
+    constructor(format = 'list') {
+        if (!PreviewReporter.FORMATS.includes(format)) {
+            throw new Error(`Unsupported preview format '${format}'. Supported: ${PreviewReporter.FORMATS.join(', ')}`);
+        }
+        this.format = format;
+    }
+
+    static get FORMATS() {
+        return ['list', 'diff'];
+    }
+
+    // The diff is left bare so it can be piped to other tools
+    render(preview) {
+        return this.format === 'diff'
+            ? this.renderDiff(preview)
+            : this.renderList(preview) + PreviewReporter.summarize(preview) + '\n';
+    }
+
+    // "specs/login.spec:3: * Login as <user:env#ADMIN_USER>"
+    renderList(preview) {
+        const lines = [];
+
+        for (const file of preview.files) {
+            lines.push(`${file.sourcePath} -> ${file.targetPath}`);
+            for (const { line, text } of file.lines) {
+                lines.push(`  ${file.sourcePath}:${line}: ${text}`);
+            }
+        }
+
+        return lines.length > 0 ? lines.join('\n') + '\n\n' : '';
+    }
+
+    renderDiff(preview) {
+        return preview.files.map(file => file.diff).join('');
+    }
+
+    static summarize(preview) {
+        const changedLines = preview.files.reduce((total, file) => total + file.lines.length, 0);
+        return `${preview.files.length} of ${preview.totalFiles} files would change (${changedLines} lines), nothing written`;
+    }
+}
+
+module.exports = PreviewReporter;
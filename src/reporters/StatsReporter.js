@@ -0,0 +1,141 @@
+class StatsReporter {
+    constructor(format = 'text') {
+        if (!StatsReporter.FORMATS.includes(format)) {
+            throw new Error(`Unsupported report format '${format}'. Supported: ${StatsReporter.FORMATS.join(', ')}`);
+        }
+        this.format = format;
+    }
+
+    static get FORMATS() {
+        return ['text', 'json', 'markdown'];
+    }
+
+    render(stats) {
+        switch (this.format) {
+            case 'json':
+                return this.renderJson(stats);
+            case 'markdown':
+                return this.renderMarkdown(stats);
+            default:
+                return this.renderText(stats);
+        }
+    }
+
+    renderJson(stats) {
+        const report = {
+            summary: {
+                totalFiles: stats.totalFiles,
+                filesWithPlaceholders: stats.filesWithPlaceholders,
+                totalPlaceholders: stats.totalPlaceholders
+            },
+            bySource: stats.mostUsedSources,
+            byFile: this.getFileRows(stats).map(([file, count]) => ({ file, count })),
+            byKey: stats.placeholdersByKey,
+            conflictingDefaults: stats.conflictingDefaults,
+            placeholders: stats.placeholderDetails
+        };
+
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+
+    renderText(stats) {
+        const sections = [
+            `Files: ${stats.totalFiles}, with placeholders: ${stats.filesWithPlaceholders}, placeholders: ${stats.totalPlaceholders}`,
+            'Placeholders by source',
+            this.renderTextTable(['Source', 'Count'], this.getSourceRows(stats)),
+            'Placeholders by file',
+            this.renderTextTable(['File', 'Count'], this.getFileRows(stats)),
+            'Placeholders by key',
+            this.renderTextTable(['Source', 'Key', 'Count', 'Files'], this.getKeyRows(stats))
+        ];
+
+        if (stats.conflictingDefaults.length > 0) {
+            sections.push('Conflicting defaults');
+            sections.push(this.renderTextTable(['Source', 'Key', 'Default', 'Files'], this.getConflictRows(stats)));
+        } else {
+            sections.push('No conflicting defaults found');
+        }
+
+        return sections.join('\n\n') + '\n';
+    }
+
+    renderMarkdown(stats) {
+        const sections = [
+            '# Placeholder Statistics',
+            `- Files: ${stats.totalFiles}\n- Files with placeholders: ${stats.filesWithPlaceholders}\n- Placeholders: ${stats.totalPlaceholders}`,
+            '## By Source',
+            this.renderMarkdownTable(['Source', 'Count'], this.getSourceRows(stats)),
+            '## By File',
+            this.renderMarkdownTable(['File', 'Count'], this.getFileRows(stats)),
+            '## By Key',
+            this.renderMarkdownTable(['Source', 'Key', 'Count', 'Files'], this.getKeyRows(stats)),
+            '## Conflicting Defaults'
+        ];
+
+        if (stats.conflictingDefaults.length > 0) {
+            sections.push(this.renderMarkdownTable(['Source', 'Key', 'Default', 'Files'], this.getConflictRows(stats)));
+        } else {
+            sections.push('No conflicting defaults found.');
+        }
+
+        return sections.join('\n\n') + '\n';
+    }
+
+    getSourceRows(stats) {
+        return stats.mostUsedSources.map(({ source, count }) => [source, count]);
+    }
+
+    getFileRows(stats) {
+        return Object.entries(stats.placeholdersByFile)
+            .sort(([, a], [, b]) => b - a);
+    }
+
+    getKeyRows(stats) {
+        return stats.placeholdersByKey.map(entry => [entry.source, entry.key, entry.count, entry.files.length]);
+    }
+
+    getConflictRows(stats) {
+        const rows = [];
+
+        for (const entry of stats.conflictingDefaults) {
+            for (const variant of entry.defaults) {
+                const defaultLabel = variant.value === null ? '(none)' : variant.value;
+                rows.push([entry.source, entry.key, defaultLabel, variant.files.join(', ')]);
+            }
+        }
+
+        return rows;
+    }
+
+    renderTextTable(headers, rows) {
+        if (rows.length === 0) {
+            return '  (none)';
+        }
+
+        const cells = [headers, ...rows].map(row => row.map(cell => String(cell)));
+        const widths = headers.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+        const formatRow = row => '  ' + row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+        return [
+            formatRow(cells[0]),
+            '  ' + widths.map(width => '-'.repeat(width)).join('  '),
+            ...cells.slice(1).map(formatRow)
+        ].join('\n');
+    }
+
+    renderMarkdownTable(headers, rows) {
+        if (rows.length === 0) {
+            return '_None_';
+        }
+
+        const escapeCell = cell => String(cell).replace(/\|/g, '\\|');
+
+        return [
+            `| ${headers.join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+        ].join('\n');
+    }
+}
+
+module.exports = StatsReporter;
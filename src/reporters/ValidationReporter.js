@@ -0,0 +1,137 @@
+class ValidationReporter {
+    constructor(format = 'text') {
+        if (!ValidationReporter.FORMATS.includes(format)) {
+            throw new Error(`Unsupported report format '${format}'. Supported: ${ValidationReporter.FORMATS.join(', ')}`);
+        }
+        this.format = format;
+    }
+
+    static get FORMATS() {
+        return ['text', 'json', 'junit'];
+    }
+
+    render(results) {
+        switch (this.format) {
+            case 'json':
+                return this.renderJson(results);
+            case 'junit':
+                return this.renderJunit(results);
+            default:
+                return this.renderText(results);
+        }
+    }
+
+    renderText(results) {
+        const lines = [];
+
+        for (const fileResult of results.files) {
+            const status = fileResult.errors.length === 0 ? '✓' : '✗';
+            lines.push(`${status} ${fileResult.file} (${fileResult.placeholders} placeholder(s))`);
+
+            for (const error of fileResult.errors) {
+                const location = error.line ? `line ${error.line}: ` : '';
+                const placeholder = error.placeholder ? `${error.placeholder} - ` : '';
+                lines.push(`    ${location}${placeholder}${error.error}`);
+            }
+
+            for (const warning of fileResult.warnings || []) {
+                lines.push(`    warning: line ${warning.line}: ${warning.placeholder} - ${warning.warning}`);
+            }
+        }
+
+        // Directory-level errors are not attached to any file result
+        for (const error of this.getDirectoryErrors(results)) {
+            lines.push(`✗ ${error.file}`);
+            lines.push(`    ${error.error}`);
+        }
+
+        lines.push('');
+        lines.push(`Files: ${results.totalFiles}, passed: ${results.processedFiles}, failed: ${results.totalFiles - results.processedFiles}`);
+        lines.push(`Placeholders: ${results.totalPlaceholders}, unresolved: ${results.errors.length}, served by fallback: ${results.warnings.length}`);
+
+        return lines.join('\n') + '\n';
+    }
+
+    renderJson(results) {
+        const report = {
+            specDir: results.specDir,
+            success: results.errors.length === 0,
+            summary: {
+                totalFiles: results.totalFiles,
+                passedFiles: results.processedFiles,
+                failedFiles: results.totalFiles - results.processedFiles,
+                totalPlaceholders: results.totalPlaceholders,
+                unresolvedPlaceholders: results.errors.length
+            },
+            files: results.files,
+            errors: results.errors,
+            warnings: results.warnings
+        };
+
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+
+    renderJunit(results) {
+        const directoryErrors = this.getDirectoryErrors(results);
+        const tests = results.files.length + directoryErrors.length;
+        const failures = results.files.filter(fileResult => fileResult.errors.length > 0).length;
+        const totalTime = results.files.reduce((sum, fileResult) => sum + fileResult.duration, 0);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="gauge-external-params" tests="${tests}" failures="${failures}" errors="${directoryErrors.length}" time="${this.formatSeconds(totalTime)}">`,
+            `  <testsuite name="placeholder-validation" tests="${tests}" failures="${failures}" errors="${directoryErrors.length}" time="${this.formatSeconds(totalTime)}">`
+        ];
+
+        // One test case per spec file so CI can show failures per spec
+        for (const fileResult of results.files) {
+            const attributes = `classname="${ValidationReporter.escapeXml(results.specDir || '')}" name="${ValidationReporter.escapeXml(fileResult.file)}" time="${this.formatSeconds(fileResult.duration)}"`;
+
+            if (fileResult.errors.length === 0) {
+                lines.push(`    <testcase ${attributes}/>`);
+                continue;
+            }
+
+            const details = fileResult.errors.map(error => {
+                const location = error.line ? `line ${error.line}: ` : '';
+                const placeholder = error.placeholder ? `${error.placeholder} - ` : '';
+                return `${location}${placeholder}${error.error}`;
+            }).join('\n');
+
+            lines.push(`    <testcase ${attributes}>`);
+            lines.push(`      <failure message="${fileResult.errors.length} unresolved placeholder(s)" type="UnresolvedPlaceholder">${ValidationReporter.escapeXml(details)}</failure>`);
+            lines.push('    </testcase>');
+        }
+
+        for (const error of directoryErrors) {
+            lines.push(`    <testcase classname="${ValidationReporter.escapeXml(results.specDir || '')}" name="${ValidationReporter.escapeXml(error.file)}" time="0.000">`);
+            lines.push(`      <error message="${ValidationReporter.escapeXml(error.error)}" type="DirectoryError"/>`);
+            lines.push('    </testcase>');
+        }
+
+        lines.push('  </testsuite>');
+        lines.push('</testsuites>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    getDirectoryErrors(results) {
+        const files = new Set(results.files.map(fileResult => fileResult.file));
+        return results.errors.filter(error => !files.has(error.file));
+    }
+
+    formatSeconds(milliseconds) {
+        return (milliseconds / 1000).toFixed(3);
+    }
+
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = ValidationReporter;
@@ -0,0 +1,33 @@
+// Runs at most `limit` tasks at a time; the rest wait in FIFO order
+class ConcurrencyLimiter {
+    constructor(limit) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error(`Concurrency limit must be a positive integer, got ${limit}`);
+        }
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    async run(task) {
+        if (this.active < this.limit) {
+            this.active++;
+        } else {
+            // The finishing task hands its slot over, see below
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+
+        try {
+            return await task();
+        } finally {
+            const next = this.waiting.shift();
+            if (next) {
+                next();
+            } else {
+                this.active--;
+            }
+        }
+    }
+}
+
+module.exports = ConcurrencyLimiter;
@@ -1,28 +1,80 @@
-const fs = require('fs').promises;
 const path = require('path');
 
-// Import source resolvers
-const EnvSource = require('../sources/EnvSource');
-const FileSource = require('../sources/FileSource');
-const HttpSource = require('../sources/HttpSource');
-const VaultSource = require('../sources/VaultSource');
-const AwsSecretsSource = require('../sources/AwsSecretsSource');
-const K8sSource = require('../sources/K8sSource');
+const SourceRegistry = require('../sources/SourceRegistry');
+const TransformerRegistry = require('../transformers/TransformerRegistry');
+const PlaceholderParser = require('../parser/PlaceholderParser');
+const SecretMasker = require('../logging/SecretMasker');
+const Logger = require('../logging/Logger');
+const ConfigValidator = require('../config/ConfigValidator');
+const ConfigLoader = require('../config/ConfigLoader');
+const ConcurrencyLimiter = require('./ConcurrencyLimiter');
+const Cache = require('../cache/Cache');
+const PersistentCache = require('../cache/PersistentCache');
+
+const DEFAULT_CONCURRENCY = 4;
+
+// Points at which cached values can be dropped, widest first; cache.refresh
+// names the narrowest one that does
+const REFRESH_POLICIES = ['never', 'run', 'spec', 'scenario'];
 
 class ParamResolver {
-    constructor(configPath = null) {
+    constructor(configPath = null, options = {}) {
         this.config = null;
-        this.configPath = configPath || path.join(process.cwd(), 'gauge-external-params.json');
+        this.configPath = ConfigLoader.resolvePath(configPath);
+        
+        // Profile overlay such as gauge-external-params.staging.json, and
+        // every file merged into the loaded config
+        this.profile = ConfigLoader.resolveProfile(options.profile);
+        this.configFiles = [];
+        this.expandedConfigPaths = [];
         this.sources = new Map();
-        this.cache = new Map();
+        this.sourceRegistry = SourceRegistry.withBuiltins();
+        this.transformerRegistry = TransformerRegistry.withBuiltins();
+        this.cache = new Cache({ name: 'resolver' });
         this.cacheTimeout = 60000; // 1 minute default TTL
         
-        // Placeholder regex: <name:source#key|default>
-        // Groups: name(1), source(2), key(3), default(4)
-        this.placeholderRegex = /<([^:]+):([^#]+)#([^|>]+)(?:\|([^>]+))?>/g;
+        // Values fetched while prefetching at ExecutionStarting, keyed like
+        // in-flight lookups. They expire after their TTL like cached values,
+        // but are kept for the run whatever cache.refresh says.
+        this.prefetched = new Cache({ name: 'prefetch' });
+        this.recordPrefetched = false;
+        
+        // Every cache handed to a source, for refreshes and stats, and the
+        // cache.keyTtl patterns as [{ pattern, ttl }]
+        this.caches = [this.cache, this.prefetched];
+        this.keyTtls = [];
+        
+        // Values of named placeholders resolved so far, available to later
+        // keys and defaults as ${name}
+        this.resolvedNames = new Map();
         
-        // Source precedence: env > file > vault/aws/k8s > http > default
+        // Which source served each placeholder, keyed by placeholder text
+        this.resolutionReport = new Map();
+        
+        // Source precedence: env > file > vault/aws/k8s > http > default.
+        // Overridden by resolution.precedence in config.
         this.sourcePrecedence = ['env', 'file', 'vault', 'aws', 'k8s', 'http'];
+        this.precedenceConfigured = false;
+        
+        // Named fallback chains from resolution.chains, e.g. secure -> [vault, aws]
+        this.chains = new Map();
+        
+        // Per-source request limits (sources.<name>.concurrency, else
+        // resolution.concurrency) and lookups currently in flight, so
+        // identical concurrent lookups share one request
+        this.limiters = new Map();
+        this.inFlight = new Map();
+        
+        // Source values kept across runs, when cache.persistent is enabled
+        this.persistentCache = null;
+        
+        // Values served by secret sources, redacted from logs, errors and reports
+        this.secretMasker = new SecretMasker();
+        
+        // Shared with the CLI and preprocessor when passed in; configured from
+        // the logging section of the config file
+        this.logger = options.logger || new Logger();
+        this.logger.configure({ masker: this.secretMasker });
     }
 
     async initialize() {
@@ -33,30 +85,222 @@ class ParamResolver {
             // Initialize sources
             await this.initializeSources();
             
-            console.log('ParamResolver initialized successfully');
+            await this.loadPersistentCache();
+            
+            this.logger.info('ParamResolver initialized successfully');
         } catch (error) {
-            console.error('Failed to initialize ParamResolver:', error.message);
-            throw error;
+            this.logger.error(`Failed to initialize ParamResolver: ${error.message}`);
+            throw this.secretMasker.maskError(error);
         }
     }
 
     async loadConfig() {
         try {
-            const configContent = await fs.readFile(this.configPath, 'utf8');
-            this.config = JSON.parse(configContent);
+            const { config, files, found, expanded } = await ConfigLoader.load(this.configPath, {
+                profile: this.profile,
+                defaults: this.getDefaultConfig()
+            });
+            this.config = config;
+            this.configFiles = files;
+            this.expandedConfigPaths = expanded;
             
-            // Set cache timeout from config
-            if (this.config.cacheTimeout) {
-                this.cacheTimeout = this.config.cacheTimeout * 1000; // Convert to milliseconds
+            if (!found) {
+                this.logger.warn(`Config file not found at ${this.configPath}, using defaults`);
+            }
+            if (files.length > 0) {
+                this.logger.debug(`Loaded config from ${files.join(', ')}`);
             }
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                console.warn(`Config file not found at ${this.configPath}, using defaults`);
-                this.config = this.getDefaultConfig();
-            } else {
-                throw new Error(`Failed to load config: ${error.message}`);
+            throw new Error(`Failed to load config: ${error.message}`);
+        }
+        
+        // Reject wrong types and values before any source sees them
+        const { errors, warnings } = this.validateConfig(this.config);
+        for (const warning of warnings) {
+            this.logger.warn(`Config ${warning}`);
+        }
+        if (errors.length > 0) {
+            throw new Error(`Invalid config in ${this.configPath}:\n  - ${errors.join('\n  - ')}`);
+        }
+        
+        // Set cache timeout from config
+        if (this.config.cacheTimeout) {
+            this.cacheTimeout = this.config.cacheTimeout * 1000; // Convert to milliseconds
+        }
+        this.configureCache();
+        
+        const logging = this.config.logging || {};
+        this.secretMasker.setEnabled(logging.maskSecrets !== false);
+        
+        try {
+            this.logger.configure({
+                level: logging.level,
+                format: logging.format,
+                // A relative log file lives next to the config file
+                file: logging.file ? path.resolve(path.dirname(this.configPath), logging.file) : undefined
+            });
+        } catch (error) {
+            throw new Error(`Invalid logging config: ${error.message}`);
+        }
+    }
+
+    // An unreadable cache or a missing key only disables persistence
+    async loadPersistentCache() {
+        const persistentConfig = (this.config.cache || {}).persistent;
+        if (!persistentConfig || !persistentConfig.enabled) {
+            return;
+        }
+        
+        const cache = this.createPersistentCache();
+        try {
+            await cache.load();
+            this.persistentCache = cache;
+            this.logger.debug(`Loaded ${cache.entries.size} persisted values from ${cache.filePath}`);
+        } catch (error) {
+            this.logger.warn(`Persistent cache disabled: ${error.message}`);
+        }
+    }
+
+    createPersistentCache() {
+        const persistentConfig = ((this.config && this.config.cache) || {}).persistent || {};
+        return new PersistentCache(persistentConfig, path.dirname(this.configPath));
+    }
+
+    // Persisted entries without their values, for `cache list`. Keys built
+    // from secret values are masked.
+    async listPersistentCache() {
+        await this.loadConfig();
+        const cache = this.createPersistentCache();
+        await cache.load();
+        
+        for (const entry of cache.entries.values()) {
+            if (this.isSecretSource(entry.source)) {
+                this.secretMasker.track(entry.value);
             }
         }
+        return {
+            filePath: cache.filePath,
+            entries: cache.list().map(entry => ({ ...entry, key: this.mask(entry.key) }))
+        };
+    }
+
+    // Delete the cache file; needs no key. Returns its path.
+    async clearPersistentCache() {
+        await this.loadConfig();
+        const cache = this.createPersistentCache();
+        await cache.clear();
+        return cache.filePath;
+    }
+
+    // cache.keyTtl patterns match "<source>#<key>"; '*' matches anything
+    configureCache() {
+        const cacheConfig = this.getCacheConfig();
+        this.keyTtls = Object.entries(cacheConfig.keyTtl || {}).map(([pattern, ttl]) => ({
+            pattern: new RegExp(`^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`),
+            ttl: ttl * 1000
+        }));
+        this.cache.configure({
+            ttl: this.getSourceTtl(null),
+            maxEntries: cacheConfig.maxEntries,
+            staleTtl: (cacheConfig.staleIfError || 0) * 1000
+        });
+        this.prefetched.configure({ ttl: this.getSourceTtl(null), maxEntries: cacheConfig.maxEntries });
+    }
+
+    getCacheConfig() {
+        return (this.config && this.config.cache) || {};
+    }
+
+    // sources.<name>.cacheTimeout in milliseconds, else `defaultTtl`, else
+    // the global cacheTimeout. With cache.refresh 'never' values do not expire.
+    getSourceTtl(sourceName, defaultTtl = undefined) {
+        if (this.getCacheConfig().refresh === 'never') {
+            return Infinity;
+        }
+        const sourceConfig = ((this.config && this.config.sources) || {})[sourceName] || {};
+        return sourceConfig.cacheTimeout || defaultTtl || this.cacheTimeout;
+    }
+
+    // The first cache.keyTtl pattern matching, or undefined
+    getKeyTtl(sourceName, key) {
+        if (this.getCacheConfig().refresh === 'never') {
+            return undefined;
+        }
+        const match = this.keyTtls.find(({ pattern }) => pattern.test(`${sourceName}#${key}`));
+        return match ? match.ttl : undefined;
+    }
+
+    // A source's cache, see Cache.forSource. It shares cache.maxEntries,
+    // cache.keyTtl and the source's cacheTimeout, falling back to the TTL the
+    // source asks for, and is refreshed and reported with the resolver's own
+    // cache.
+    createCache(sourceName, options = {}) {
+        const cache = new Cache({
+            name: options.name && options.name !== sourceName ? `${sourceName}.${options.name}` : sourceName,
+            ttl: this.getSourceTtl(sourceName, options.ttl),
+            maxEntries: this.getCacheConfig().maxEntries,
+            ttlFor: key => this.getKeyTtl(sourceName, key)
+        });
+        this.caches.push(cache);
+        return cache;
+    }
+
+    validateConfig(config) {
+        return new ConfigValidator().validate(config, {
+            sourceNames: this.sourceRegistry.names(),
+            expanded: this.expandedConfigPaths
+        });
+    }
+
+    // Check the config file without initializing sources, for `config check`.
+    // Returns { configPath, files, found, errors, warnings } and never throws.
+    async checkConfig() {
+        const result = { configPath: this.configPath, files: [], found: true, errors: [], warnings: [] };
+        
+        try {
+            const { config, files, found, expanded } = await ConfigLoader.load(this.configPath, {
+                profile: this.profile,
+                defaults: this.getDefaultConfig()
+            });
+            this.config = config;
+            this.expandedConfigPaths = expanded;
+            result.files = files;
+            result.found = found;
+        } catch (error) {
+            result.errors.push(error.message);
+            return result;
+        }
+        
+        if (!result.found) {
+            result.warnings.push('Config file not found, built-in defaults are used');
+        }
+        
+        const { errors, warnings } = this.validateConfig(this.config);
+        result.errors.push(...errors);
+        result.warnings.push(...warnings);
+        if (errors.length > 0) {
+            return result;
+        }
+        
+        // Module paths and source names in resolution need the registry
+        const configDir = path.dirname(this.configPath);
+        for (const [name, config] of Object.entries(this.config.sources || {})) {
+            if (config && typeof config.module === 'string') {
+                try {
+                    this.sourceRegistry.registerModule(name, config.module, configDir);
+                } catch (error) {
+                    result.errors.push(`sources.${name}.module: ${error.message}`);
+                }
+            }
+        }
+        
+        try {
+            this.configureResolution();
+        } catch (error) {
+            result.errors.push(...error.message.split('\n  - ').slice(1));
+        }
+        
+        return result;
     }
 
     getDefaultConfig() {
@@ -89,161 +333,609 @@ class ParamResolver {
         };
     }
 
+    // Register a custom source before initialize(). The factory is a source
+    // class or a function returning a source; see SourceRegistry.
+    registerSource(name, factory, options = {}) {
+        this.sourceRegistry.register(name, factory, { enabledByDefault: true, ...options });
+    }
+
+    // Register a transformer usable in placeholders as `<name:source#key | fn>`
+    registerTransformer(name, transformer) {
+        this.transformerRegistry.register(name, transformer);
+    }
+
     async initializeSources() {
         const sourceConfig = this.config.sources || {};
+        const configDir = path.dirname(this.configPath);
         
-        // Initialize environment source
-        if (sourceConfig.env?.enabled !== false) {
-            this.sources.set('env', new EnvSource(sourceConfig.env));
-        }
-        
-        // Initialize file source
-        if (sourceConfig.file?.enabled !== false) {
-            this.sources.set('file', new FileSource(sourceConfig.file));
-        }
-        
-        // Initialize HTTP source
-        if (sourceConfig.http?.enabled !== false) {
-            this.sources.set('http', new HttpSource(sourceConfig.http));
-        }
-        
-        // Initialize Vault source
-        if (sourceConfig.vault?.enabled === true) {
-            this.sources.set('vault', new VaultSource(sourceConfig.vault));
+        // Register sources declared in config with a module path
+        for (const [name, config] of Object.entries(sourceConfig)) {
+            if (config && typeof config.module === 'string') {
+                this.sourceRegistry.registerModule(name, config.module, configDir);
+            }
         }
         
-        // Initialize AWS Secrets source
-        if (sourceConfig.aws?.enabled === true) {
-            this.sources.set('aws', new AwsSecretsSource(sourceConfig.aws));
-        }
+        this.configureResolution();
         
-        // Initialize Kubernetes source
-        if (sourceConfig.k8s?.enabled === true) {
-            this.sources.set('k8s', new K8sSource(sourceConfig.k8s));
+        // Create every enabled source
+        for (const name of this.sourceRegistry.names()) {
+            const config = sourceConfig[name] || {};
+            if (!this.sourceRegistry.isEnabled(name, config)) {
+                continue;
+            }
+            
+            try {
+                const context = {
+                    logger: this.logger.child({ source: name }),
+                    createCache: options => this.createCache(name, options)
+                };
+                this.sources.set(name, await this.sourceRegistry.create(name, sourceConfig[name], context));
+            } catch (error) {
+                this.logger.warn(`Failed to create ${name} source: ${error.message}`);
+            }
         }
         
         // Initialize all sources
         for (const [name, source] of this.sources) {
             try {
-                await source.initialize();
-                console.log(`Initialized ${name} source`);
+                if (typeof source.initialize === 'function') {
+                    await source.initialize();
+                }
+                this.logger.debug(`Initialized ${name} source`);
             } catch (error) {
-                console.warn(`Failed to initialize ${name} source:`, error.message);
+                this.logger.warn(`Failed to initialize ${name} source: ${error.message}`);
                 // Don't fail initialization if a source fails, just disable it
                 this.sources.delete(name);
             }
         }
     }
 
-    async resolveText(text) {
+    // Apply resolution.precedence and resolution.chains from config. Every
+    // source name must be registered, so typos fail at initialize() time.
+    configureResolution() {
+        const resolution = this.config.resolution || {};
+        const errors = [];
+        
+        const checkSources = (names, location) => {
+            if (!Array.isArray(names)) {
+                errors.push(`${location} must be an array of source names`);
+                return false;
+            }
+            for (const name of names) {
+                if (!this.sourceRegistry.has(name)) {
+                    errors.push(`${location} references unknown source '${name}'`);
+                }
+            }
+            return true;
+        };
+        
+        if (resolution.precedence !== undefined && checkSources(resolution.precedence, 'resolution.precedence')) {
+            this.sourcePrecedence = [...resolution.precedence];
+            this.precedenceConfigured = true;
+        }
+        
+        if (resolution.strictSources !== undefined) {
+            checkSources(resolution.strictSources, 'resolution.strictSources');
+        }
+        
+        this.chains.clear();
+        for (const [chainName, members] of Object.entries(resolution.chains || {})) {
+            if (this.sourceRegistry.has(chainName)) {
+                errors.push(`resolution.chains.${chainName} conflicts with a source of the same name`);
+            } else if (checkSources(members, `resolution.chains.${chainName}`)) {
+                if (members.length === 0) {
+                    errors.push(`resolution.chains.${chainName} must list at least one source`);
+                }
+                this.chains.set(chainName, [...members]);
+            }
+        }
+        
+        if (errors.length > 0) {
+            throw new Error(`Invalid resolution config:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    // Placeholders only count as such for registered sources, chains and
+    // sources declared in config, with the transformers registered here
+    getParserOptions() {
+        const config = this.config || {};
+        const declared = [
+            ...Object.keys(config.sources || {}),
+            ...Object.keys((config.resolution && config.resolution.chains) || {})
+        ];
+        
+        return {
+            sources: name => this.sourceRegistry.has(name) || this.chains.has(name) || declared.includes(name),
+            transformers: this.transformerRegistry
+        };
+    }
+
+    // `values`, when given, collects the resolved value of each placeholder
+    // keyed by its source text. `lookups` collects the { source, policy, key }
+    // every placeholder asked for, nested ones included, whether or not a
+    // source could serve it.
+    async resolveText(text, values = null, lookups = null) {
         if (!text || typeof text !== 'string') {
             return text;
         }
 
-        let resolvedText = text;
-        const matches = [...text.matchAll(this.placeholderRegex)];
+        return this.resolveTextInScope(text, new Map(), values, lookups);
+    }
+
+    async resolveTextInScope(text, scope, values = null, lookups = null) {
+        const { parts, placeholders, errors } = PlaceholderParser.parse(text, this.getParserOptions());
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+        if (placeholders.length === 0) {
+            return parts.join('');
+        }
         
-        for (const match of matches) {
-            const [fullMatch, name, source, key, defaultValue] = match;
-            
+        // Distinct placeholders resolve concurrently. One that references
+        // others via ${name} waits for them and sees their values in its own
+        // scope, so with a reused name ${name} means the last one before it.
+        // Identical placeholders resolve once.
+        const ordered = this.orderByDependencies(placeholders);
+        
+        const pending = new Map();
+        const resolveOnce = (placeholder) => {
+            if (!pending.has(placeholder.fullMatch)) {
+                const dependencies = ParamResolver.findDependencies(placeholder, placeholders)
+                    .filter(dependency => dependency.fullMatch !== placeholder.fullMatch);
+                pending.set(placeholder.fullMatch, Promise.all(dependencies.map(resolveOnce))
+                    .then(dependencyValues => {
+                        const placeholderScope = new Map(scope);
+                        dependencies.forEach((dependency, index) => placeholderScope.set(dependency.name, dependencyValues[index]));
+                        return this.resolveExtractedPlaceholder(placeholder, placeholderScope, lookups);
+                    }));
+            }
+            return pending.get(placeholder.fullMatch);
+        };
+        
+        // Wait for all of them, then report the first failure in text order
+        const results = await Promise.allSettled(ordered.map(resolveOnce));
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            throw failure.reason;
+        }
+        
+        const resolvedValues = new Map();
+        ordered.forEach((placeholder, index) => {
+            resolvedValues.set(placeholder.fullMatch, results[index].value);
+            if (values) {
+                values[placeholder.fullMatch] = results[index].value;
+            }
+        });
+        
+        // Rebuild the text from parsed parts so resolved values are inserted verbatim
+        return parts.map(part => (typeof part === 'string' ? part : resolvedValues.get(part.fullMatch))).join('');
+    }
+
+    async resolveExtractedPlaceholder(placeholder, scope, lookups = null) {
+        const { fullMatch, name, source } = placeholder;
+        let key;
+        let defaultValue;
+        
+        try {
+            key = await this.interpolate(placeholder.keyParts, scope, lookups);
+            if (lookups) {
+                lookups.push({ source, policy: placeholder.policy, key });
+            }
+            if (placeholder.defaultParts !== undefined) {
+                defaultValue = await this.interpolate(placeholder.defaultParts, scope, lookups);
+            }
+        } catch (error) {
+            throw new Error(this.mask(`Failed to resolve required placeholder ${fullMatch}: ${error.message}`));
+        }
+        
+        let resolvedValue;
+        let servedBy;
+        let cached = false;
+        let stale = false;
+        try {
+            ({ value: resolvedValue, servedBy, cached, stale = false } = await this.resolveFromSources(name, source, key, defaultValue, placeholder.policy));
+        } catch (error) {
+            if (defaultValue !== undefined) {
+                this.logger.warn(`Failed to resolve placeholder ${fullMatch}, using default: ${error.message}`);
+                resolvedValue = defaultValue;
+                servedBy = 'default';
+            } else {
+                throw new Error(this.mask(`Failed to resolve required placeholder ${fullMatch}: ${error.message}`));
+            }
+        }
+        
+        // Transformers apply to source values; defaults are used verbatim. A
+        // failing transformer is an error in the spec, not a reason to fall
+        // back to the default.
+        if (placeholder.transformers && servedBy !== 'default') {
             try {
-                const resolvedValue = await this.resolvePlaceholder(name, source, key, defaultValue);
-                resolvedText = resolvedText.replace(fullMatch, resolvedValue);
+                resolvedValue = await this.transformerRegistry.apply(resolvedValue, placeholder.transformers);
             } catch (error) {
-                console.error(`Failed to resolve placeholder ${fullMatch}:`, error.message);
-                
-                if (defaultValue !== undefined) {
-                    resolvedText = resolvedText.replace(fullMatch, defaultValue);
-                } else {
-                    throw new Error(`Failed to resolve required placeholder ${fullMatch}: ${error.message}`);
-                }
+                throw new Error(this.mask(`Failed to transform placeholder ${fullMatch}: ${error.message}`));
+            }
+            
+            // A value derived from a secret, e.g. a decoded token, is secret too
+            if (this.isSecretSource(servedBy)) {
+                this.secretMasker.track(resolvedValue);
             }
         }
         
-        return resolvedText;
+        this.recordResolution(placeholder, key, servedBy, cached, stale);
+        scope.set(name, resolvedValue);
+        this.resolvedNames.set(name, resolvedValue);
+        
+        return resolvedValue;
+    }
+
+    // Expand nested placeholders and ${name} references in the parsed parts
+    // of a key or default
+    async interpolate(parts, scope, lookups = null) {
+        let interpolated = '';
+        
+        for (const part of parts) {
+            interpolated += typeof part === 'string'
+                ? this.substituteReferences(part, scope)
+                : await this.resolveExtractedPlaceholder(part, scope, lookups);
+        }
+        
+        return interpolated;
+    }
+
+    substituteReferences(value, scope) {
+        return value.replace(ParamResolver.REFERENCE_REGEX, (reference, name) => {
+            if (scope.has(name)) {
+                return scope.get(name);
+            }
+            if (this.resolvedNames.has(name)) {
+                return this.resolvedNames.get(name);
+            }
+            throw new Error(`Unknown placeholder reference '${reference}': no placeholder named '${name}' has been resolved`);
+        });
+    }
+
+    // `placeholders` in text order, each after the placeholders it references
+    orderByDependencies(placeholders) {
+        const ordered = [];
+        const visited = new Set();
+        const visiting = [];
+        
+        const visit = (placeholder) => {
+            if (visited.has(placeholder)) {
+                return;
+            }
+            
+            const cycleStart = visiting.indexOf(placeholder);
+            if (cycleStart !== -1) {
+                const cycle = [...visiting.slice(cycleStart), placeholder].map(entry => entry.name);
+                throw new Error(`Circular placeholder reference: ${cycle.join(' -> ')}`);
+            }
+            
+            visiting.push(placeholder);
+            for (const dependency of ParamResolver.findDependencies(placeholder, placeholders)) {
+                visit(dependency);
+            }
+            visiting.pop();
+            
+            visited.add(placeholder);
+            ordered.push(placeholder);
+        };
+        
+        for (const placeholder of placeholders) {
+            visit(placeholder);
+        }
+        
+        return ordered;
+    }
+
+    async resolvePlaceholder(name, sourceType, key, defaultValue, policy = null) {
+        const { value } = await this.resolveFromSources(name, sourceType, key, defaultValue, policy);
+        return value;
     }
 
-    async resolvePlaceholder(name, sourceType, key, defaultValue) {
-        const cacheKey = `${name}:${sourceType}:${key}`;
+    // Resolves a value and reports which source served it: a source name,
+    // or 'default' when no source could resolve it
+    async resolveFromSources(name, sourceType, key, defaultValue, policy = null) {
+        const strict = this.isStrict(sourceType, policy);
+        const cacheKey = `${name}:${sourceType}${strict ? '!' : ''}:${key}`;
         
         // Check cache first
-        const cachedValue = this.getCachedValue(cacheKey);
-        if (cachedValue !== null) {
-            return cachedValue;
+        const cachedEntry = this.getCachedEntry(cacheKey);
+        if (cachedEntry !== null) {
+            return { value: cachedEntry.value, servedBy: cachedEntry.servedBy, cached: true };
         }
         
         let resolvedValue = null;
         let lastError = null;
         
-        // Try sources in order of precedence
-        const orderedSources = this.getOrderedSources(sourceType);
+        // Try sources in order of precedence, or only the requested one in strict mode
+        const orderedSourceNames = this.getOrderedSourceNames(sourceType, strict);
         
-        for (const source of orderedSources) {
+        for (const sourceName of orderedSourceNames) {
             try {
-                resolvedValue = await source.resolve(key);
+                resolvedValue = await this.requestFromSource(sourceName, key);
                 if (resolvedValue !== null && resolvedValue !== undefined) {
+                    if (this.isSecretSource(sourceName)) {
+                        this.secretMasker.track(resolvedValue);
+                    }
+                    if (!this.getRequestedSourceNames(sourceType).includes(sourceName)) {
+                        this.logger.warn(`Placeholder '${name}' requested source '${sourceType}' but was served by '${sourceName}'`);
+                    }
+                    
                     // Cache the resolved value
-                    this.setCachedValue(cacheKey, resolvedValue);
-                    return resolvedValue;
+                    this.setCachedValue(cacheKey, resolvedValue, sourceName, key);
+                    return { value: resolvedValue, servedBy: sourceName, cached: false };
                 }
             } catch (error) {
                 lastError = error;
-                console.warn(`Source ${source.constructor.name} failed for key ${key}:`, error.message);
+                this.logger.debug(`Source ${sourceName} failed for key ${key}: ${error.message}`);
             }
         }
         
+        // Stale-if-error: a value from a remote source that expired less than
+        // cache.staleIfError seconds ago beats failing or a default when the
+        // sources failed. Local sources such as env and file are not flaky,
+        // so their failures are real.
+        const staleEntry = lastError ? this.cache.getStale(cacheKey) : null;
+        if (staleEntry && this.isRemoteSource(staleEntry.value.servedBy)) {
+            const expiredFor = Math.ceil((Date.now() - staleEntry.expiresAt) / 1000);
+            this.logger.warn(this.mask(`Serving a stale value for placeholder '${name}' from '${staleEntry.value.servedBy}', expired ${expiredFor}s ago, because the source failed: ${lastError.message}`));
+            return { value: staleEntry.value.value, servedBy: staleEntry.value.servedBy, cached: true, stale: true };
+        }
+        
         // If no source could resolve the value, try the default
         if (defaultValue !== undefined) {
-            return defaultValue;
+            return { value: defaultValue, servedBy: 'default', cached: false };
+        }
+        
+        if (strict && orderedSourceNames.length === 0) {
+            throw new Error(this.mask(`Could not resolve placeholder for key '${key}': source '${sourceType}' is not enabled and fallback is disabled (strict mode)`));
         }
         
         // No value found and no default provided
-        throw new Error(`Could not resolve placeholder for key '${key}' from source '${sourceType}'. Last error: ${lastError?.message || 'No sources available'}`);
+        const mode = strict ? ' (strict mode)' : '';
+        throw new Error(this.mask(`Could not resolve placeholder for key '${key}' from source '${sourceType}'${mode}. Last error: ${lastError?.message || 'No sources available'}`));
     }
 
-    getOrderedSources(preferredSourceType) {
-        const sources = [];
-        
-        // First, try the preferred source type
-        if (this.sources.has(preferredSourceType)) {
-            sources.push(this.sources.get(preferredSourceType));
+    // Single-flight: a lookup of a key already being fetched from the same
+    // source waits for that request instead of sending another one
+    requestFromSource(sourceName, key) {
+        const flightKey = ParamResolver.flightKey(sourceName, key);
+        const prefetched = this.prefetched.size > 0 ? this.prefetched.get(flightKey) : null;
+        if (prefetched !== null) {
+            return Promise.resolve(prefetched);
+        }
+        if (this.inFlight.has(flightKey)) {
+            return this.inFlight.get(flightKey);
+        }
+        const persisted = this.persistentCache && this.persistentCache.get(sourceName, key);
+        if (persisted) {
+            return Promise.resolve(persisted.value);
         }
         
-        // Then try other sources in precedence order
-        for (const sourceType of this.sourcePrecedence) {
-            if (sourceType !== preferredSourceType && this.sources.has(sourceType)) {
-                sources.push(this.sources.get(sourceType));
+        const request = this.getLimiter(sourceName)
+            .run(() => this.sources.get(sourceName).resolve(key))
+            .then(value => {
+                if (value !== null && value !== undefined) {
+                    if (this.recordPrefetched) {
+                        this.setPrefetchedValue(sourceName, key, value);
+                    }
+                    if (this.persistentCache) {
+                        this.persistentCache.set(sourceName, key, value);
+                    }
+                }
+                return value;
+            })
+            .finally(() => this.inFlight.delete(flightKey));
+        this.inFlight.set(flightKey, request);
+        
+        return request;
+    }
+
+    // Fetch the static keys of `placeholders` with one resolveBatch(keys)
+    // call per source that has it, e.g. Vault reads each secret path once.
+    // A key is batched for the first source its placeholder would try, unless
+    // the persistent cache already has it; keys missing from a batch are
+    // looked up on their own later. Returns the number of values fetched.
+    async prefetchBatches(placeholders) {
+        const batches = new Map();
+        const collect = (placeholder) => {
+            const nested = [...placeholder.keyParts, ...(placeholder.defaultParts || [])].filter(part => typeof part !== 'string');
+            nested.forEach(collect);
+            if (placeholder.keyParts.some(part => typeof part !== 'string') || ParamResolver.findReferences(placeholder).length > 0) {
+                return;
             }
+            
+            const [sourceName] = this.getOrderedSourceNames(placeholder.source, this.isStrict(placeholder.source, placeholder.policy));
+            const key = placeholder.keyParts.join('');
+            if (!sourceName || typeof this.sources.get(sourceName).resolveBatch !== 'function' ||
+                (this.persistentCache && this.persistentCache.get(sourceName, key))) {
+                return;
+            }
+            if (!batches.has(sourceName)) {
+                batches.set(sourceName, new Set());
+            }
+            batches.get(sourceName).add(key);
+        };
+        placeholders.forEach(collect);
+        
+        let fetched = 0;
+        await Promise.all([...batches].map(async ([sourceName, keys]) => {
+            try {
+                const values = await this.getLimiter(sourceName).run(() => this.sources.get(sourceName).resolveBatch([...keys]));
+                for (const [key, value] of values) {
+                    if (value !== null && value !== undefined) {
+                        this.setPrefetchedValue(sourceName, key, value);
+                        if (this.persistentCache) {
+                            this.persistentCache.set(sourceName, key, value);
+                        }
+                        fetched++;
+                    }
+                }
+                this.logger.debug(`Prefetched ${keys.size} key(s) from ${sourceName} in one batch`);
+            } catch (error) {
+                this.logger.warn(`Batch prefetch from ${sourceName} failed, keys will be fetched one by one: ${this.mask(error.message)}`);
+            }
+        }));
+        
+        return fetched;
+    }
+
+    getLimiter(sourceName) {
+        if (!this.limiters.has(sourceName)) {
+            const config = this.config || {};
+            const sourceConfig = (config.sources || {})[sourceName] || {};
+            const resolution = config.resolution || {};
+            this.limiters.set(sourceName, new ConcurrencyLimiter(sourceConfig.concurrency || resolution.concurrency || DEFAULT_CONCURRENCY));
+        }
+        return this.limiters.get(sourceName);
+    }
+
+    // A placeholder policy ('strict' or 'fallback') overrides the configured
+    // resolution.mode and resolution.strictSources. Chains only use their own
+    // sources unless the placeholder opts into fallback.
+    isStrict(sourceType, policy = null) {
+        if (policy === 'strict') {
+            return true;
+        }
+        if (policy === 'fallback') {
+            return false;
+        }
+        if (this.chains.has(sourceType)) {
+            return true;
         }
         
-        return sources;
+        const resolution = (this.config && this.config.resolution) || {};
+        if (resolution.mode === 'strict') {
+            return true;
+        }
+        return Array.isArray(resolution.strictSources) && resolution.strictSources.includes(sourceType);
     }
 
-    getCachedValue(key) {
-        const cached = this.cache.get(key);
-        if (!cached) {
-            return null;
+    getOrderedSources(preferredSourceType, strict = false) {
+        return this.getOrderedSourceNames(preferredSourceType, strict).map(name => this.sources.get(name));
+    }
+
+    getOrderedSourceNames(preferredSourceType, strict = false) {
+        // First, try the preferred source type or the members of its chain
+        const requested = this.getRequestedSourceNames(preferredSourceType);
+        const sourceNames = requested.filter(sourceType => this.sources.has(sourceType));
+        
+        if (strict) {
+            return sourceNames;
         }
         
-        // Check if cache entry has expired
-        if (Date.now() - cached.timestamp > this.cacheTimeout) {
-            this.cache.delete(key);
-            return null;
+        // Then try other sources in precedence order
+        for (const sourceType of this.sourcePrecedence) {
+            if (!requested.includes(sourceType) && this.sources.has(sourceType)) {
+                sourceNames.push(sourceType);
+            }
         }
         
-        return cached.value;
+        // Without a configured precedence, custom sources come last in
+        // registration order
+        if (!this.precedenceConfigured) {
+            for (const sourceType of this.sources.keys()) {
+                if (!requested.includes(sourceType) && !this.sourcePrecedence.includes(sourceType)) {
+                    sourceNames.push(sourceType);
+                }
+            }
+        }
+        
+        return sourceNames;
+    }
+
+    getRequestedSourceNames(sourceType) {
+        return this.chains.has(sourceType) ? this.chains.get(sourceType) : [sourceType];
+    }
+
+    isSecretSource(sourceName) {
+        const sourceConfig = (this.config && this.config.sources) || {};
+        return this.sourceRegistry.isSecret(sourceName, sourceConfig[sourceName] || {});
+    }
+
+    isRemoteSource(sourceName) {
+        const sourceConfig = (this.config && this.config.sources) || {};
+        return this.sourceRegistry.isRemote(sourceName, sourceConfig[sourceName] || {});
     }
 
-    setCachedValue(key, value) {
-        this.cache.set(key, {
-            value: value,
-            timestamp: Date.now()
+    // Redact every tracked secret value from text bound for logs, errors or
+    // reports. A no-op when logging.maskSecrets is false.
+    mask(text) {
+        return this.secretMasker.mask(text);
+    }
+
+    recordResolution(placeholder, key, servedBy, cached, stale = false) {
+        this.resolutionReport.set(placeholder.fullMatch, {
+            placeholder: placeholder.fullMatch,
+            name: placeholder.name,
+            key: this.mask(key),
+            requestedSource: placeholder.source,
+            servedBy: servedBy,
+            policy: placeholder.policy || null,
+            fallback: servedBy !== 'default' && !this.getRequestedSourceNames(placeholder.source).includes(servedBy),
+            cached: cached,
+            stale: stale
         });
     }
 
+    getResolutionReport() {
+        return [...this.resolutionReport.values()];
+    }
+
+    getCachedValue(key) {
+        const cached = this.getCachedEntry(key);
+        return cached === null ? null : cached.value;
+    }
+
+    getCachedEntry(key) {
+        return this.cache.get(key);
+    }
+
+    // Kept for the serving source's TTL, or a cache.keyTtl matching its key
+    setCachedValue(key, value, servedBy = null, sourceKey = null) {
+        const ttl = servedBy ? this.getValueTtl(servedBy, sourceKey) : undefined;
+        this.cache.set(key, { value, servedBy }, { ttl });
+    }
+
+    setPrefetchedValue(sourceName, key, value) {
+        this.prefetched.set(ParamResolver.flightKey(sourceName, key), value, { ttl: this.getValueTtl(sourceName, key) });
+    }
+
+    getValueTtl(sourceName, key) {
+        const keyTtl = this.getKeyTtl(sourceName, key);
+        return keyTtl !== undefined ? keyTtl : this.getSourceTtl(sourceName);
+    }
+
+    // Drop cached values served by the given sources, e.g. after their data
+    // changed. The sources keep their own caches, such as FileSource's mtime
+    // check, so unchanged data is not fetched again.
+    invalidateCachedValues(sourceNames) {
+        this.cache.deleteWhere(entry => sourceNames.includes(entry.servedBy));
+        this.prefetched.deleteWhere((value, flightKey) => sourceNames.includes(flightKey.split('\u0000')[0]));
+        if (this.persistentCache) {
+            this.persistentCache.removeSources(sourceNames);
+        }
+    }
+
+    static get REFRESH_POLICIES() {
+        return REFRESH_POLICIES;
+    }
+
+    // Refresh when cache.refresh (default 'spec') is `point` or narrower,
+    // e.g. 'scenario' also refreshes at every spec
+    async refreshCachesAt(point) {
+        const policy = this.getCacheConfig().refresh || 'spec';
+        if (policy !== 'never' && REFRESH_POLICIES.indexOf(point) <= REFRESH_POLICIES.indexOf(policy)) {
+            await this.refreshCaches();
+        }
+    }
+
     async refreshCaches() {
-        // Clear all cached values to force refresh
-        this.cache.clear();
+        // Expire all cached values to force refresh; they stay available to
+        // stale-if-error. Prefetched values are left alone: the first spec
+        // refresh comes right after prefetching, and dropping them there
+        // would move every lookup back into test timing.
+        this.cache.expire();
         
         // Optionally, refresh source-specific caches
         for (const [name, source] of this.sources) {
@@ -251,15 +943,49 @@ class ParamResolver {
                 try {
                     await source.refreshCache();
                 } catch (error) {
-                    console.warn(`Failed to refresh cache for ${name} source:`, error.message);
+                    this.logger.warn(`Failed to refresh cache for ${name} source: ${error.message}`);
                 }
             }
         }
     }
 
+    getCacheStats() {
+        return this.caches.map(cache => cache.getStats());
+    }
+
+    // One line for the caches that were used, e.g.
+    // "Cache stats: resolver 12 hits, 3 misses (80%); vault 2 hits, 1 miss (67%)"
+    logCacheStats() {
+        const used = this.getCacheStats().filter(stats => stats.hits + stats.misses > 0);
+        if (used.length === 0) {
+            return;
+        }
+        
+        const summaries = used.map(stats => {
+            const stale = stats.staleHits > 0 ? `, ${stats.staleHits} stale` : '';
+            const evicted = stats.evictions > 0 ? `, ${stats.evictions} evicted` : '';
+            return `${stats.name} ${stats.hits} hit${stats.hits === 1 ? '' : 's'}, ${stats.misses} miss${stats.misses === 1 ? '' : 'es'} (${Math.round(stats.hitRate * 100)}%${stale}${evicted})`;
+        });
+        this.logger.debug(`Cache stats: ${summaries.join('; ')}`);
+    }
+
     async cleanup() {
+        this.logCacheStats();
+        
+        if (this.persistentCache) {
+            try {
+                await this.persistentCache.save();
+            } catch (error) {
+                this.logger.warn(`Failed to save persistent cache: ${error.message}`);
+            }
+            this.persistentCache = null;
+        }
+        
         // Clear caches
-        this.cache.clear();
+        this.limiters.clear();
+        this.prefetched.clear();
+        this.resolvedNames.clear();
+        this.resolutionReport.clear();
         
         // Cleanup sources
         for (const [name, source] of this.sources) {
@@ -267,40 +993,97 @@ class ParamResolver {
                 try {
                     await source.cleanup();
                 } catch (error) {
-                    console.warn(`Failed to cleanup ${name} source:`, error.message);
+                    this.logger.warn(`Failed to cleanup ${name} source: ${error.message}`);
                 }
             }
         }
         
         this.sources.clear();
+        this.cache = new Cache({ name: 'resolver' });
+        this.caches = [this.cache, this.prefetched];
     }
 
     // Utility method to parse placeholder syntax
     static parsePlaceholder(placeholderText) {
-        const regex = /<([^:]+):([^#]+)#([^|>]+)(?:\|([^>]+))?>/;
-        const match = placeholderText.match(regex);
+        const [placeholder] = ParamResolver.extractPlaceholders(placeholderText);
         
-        if (!match) {
+        if (!placeholder) {
             throw new Error(`Invalid placeholder syntax: ${placeholderText}`);
         }
         
         return {
-            name: match[1],
-            source: match[2],
-            key: match[3],
-            defaultValue: match[4]
+            name: placeholder.name,
+            source: placeholder.source,
+            key: placeholder.key,
+            defaultValue: placeholder.defaultValue,
+            policy: placeholder.policy,
+            transformers: placeholder.transformers
         };
     }
 
+    // Find top-level placeholders in text, throwing PlaceholderSyntaxError
+    // for malformed ones. `options` are PlaceholderParser options.
+    static extractPlaceholders(text, options = {}) {
+        const { placeholders, errors } = PlaceholderParser.parse(text, options);
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+        return placeholders;
+    }
+
+    static flightKey(sourceName, key) {
+        return `${sourceName}\u0000${key}`;
+    }
+
+    // Names referenced as ${name} by a placeholder's key or default, including
+    // references made from nested placeholders
+    static findReferences(placeholder) {
+        const references = [];
+        
+        for (const part of [...placeholder.keyParts, ...(placeholder.defaultParts || [])]) {
+            if (typeof part === 'string') {
+                references.push(...[...part.matchAll(ParamResolver.REFERENCE_REGEX)].map(match => match[1]));
+            } else {
+                references.push(...ParamResolver.findReferences(part));
+            }
+        }
+        
+        return references;
+    }
+
+    // Placeholders a placeholder's ${name} references point to, in text
+    // order: those with that name before it, or the later ones when none
+    // comes before it. A placeholder never depends on itself.
+    static findDependencies(placeholder, placeholders) {
+        const index = placeholders.indexOf(placeholder);
+        
+        return [...new Set(ParamResolver.findReferences(placeholder))].flatMap(reference => {
+            const named = placeholders.filter(other => other.name === reference && other !== placeholder);
+            const earlier = named.filter(other => placeholders.indexOf(other) < index);
+            return earlier.length > 0 ? earlier : named;
+        });
+    }
+
     // Utility method to create placeholder text
     static createPlaceholder(name, source, key, defaultValue = null) {
-        let placeholder = `<${name}:${source}#${key}`;
+        let placeholder = `<${name}:${source}#${ParamResolver.quoteSegment(key)}`;
         if (defaultValue !== null) {
-            placeholder += `|${defaultValue}`;
+            placeholder += `|${ParamResolver.quoteSegment(defaultValue)}`;
         }
         placeholder += '>';
         return placeholder;
     }
+
+    // Quote a key or default when it contains characters the parser treats specially
+    static quoteSegment(value) {
+        if (value !== '' && !/[<>|"'\\]|^\s|\s$/.test(value)) {
+            return value;
+        }
+        return `"${value.replace(/["\\]/g, '\\$&')}"`;
+    }
 }
 
+// Reference to a previously resolved placeholder: ${name}
+ParamResolver.REFERENCE_REGEX = /\$\{([^}]+)\}/g;
+
 module.exports = ParamResolver;
\ No newline at end of file
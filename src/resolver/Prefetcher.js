@@ -0,0 +1,108 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PlaceholderParser = require('../parser/PlaceholderParser');
+const { UnresolvedPlaceholdersError } = require('../preprocessor/Preprocessor');
+
+const SPEC_EXTENSIONS = ['.spec', '.md', '.cpt'];
+
+// Resolves every placeholder in the spec and concept files at
+// ExecutionStarting (`prefetch.enabled`), so lookups and their failures
+// happen before the first spec runs instead of inside test timing. Sources
+// that can fetch several keys at once get one batch first; everything else
+// is resolved per file as validate does. Fetched values are cached by the
+// resolver with the usual TTLs for the whole run; cache.refresh does not
+// drop them.
+class Prefetcher {
+    constructor(paramResolver, options = {}) {
+        this.paramResolver = paramResolver;
+        this.logger = paramResolver.logger.child({ component: 'prefetch' });
+        const projectRoot = options.projectRoot || process.cwd();
+        this.specDirs = (options.specDirs || ['specs']).map(dir => path.resolve(projectRoot, dir));
+    }
+
+    // Throws an UnresolvedPlaceholdersError listing every missing value
+    async run() {
+        const startTime = Date.now();
+        const files = [];
+        for (const specDir of this.specDirs) {
+            await this.readSpecFiles(specDir, files);
+        }
+
+        const placeholders = files.flatMap(file => file.placeholders);
+        const batched = await this.paramResolver.prefetchBatches(placeholders);
+
+        this.paramResolver.recordPrefetched = true;
+        let unresolved;
+        try {
+            unresolved = (await Promise.all(files.map(file => this.resolveFile(file)))).flat();
+        } finally {
+            this.paramResolver.recordPrefetched = false;
+        }
+
+        if (unresolved.length > 0) {
+            throw new UnresolvedPlaceholdersError(unresolved);
+        }
+
+        const result = { files: files.length, placeholders: placeholders.length, batched, duration: Date.now() - startTime };
+        this.logger.info(`Prefetched ${result.placeholders} placeholder(s) from ${result.files} file(s) in ${result.duration}ms (${batched} value(s) batched)`);
+        return result;
+    }
+
+    async readSpecFiles(currentDir, files) {
+        let items;
+        try {
+            items = await fs.readdir(currentDir, { withFileTypes: true });
+        } catch (error) {
+            throw new Error(`Failed to read spec directory ${currentDir}: ${error.message}`);
+        }
+
+        for (const item of items) {
+            const itemPath = path.join(currentDir, item.name);
+            if (item.isDirectory()) {
+                await this.readSpecFiles(itemPath, files);
+            } else if (item.isFile() && SPEC_EXTENSIONS.includes(path.extname(item.name).toLowerCase())) {
+                const content = await fs.readFile(itemPath, 'utf8');
+                const { placeholders, errors } = PlaceholderParser.parse(content, this.paramResolver.getParserOptions());
+                if (placeholders.length > 0 || errors.length > 0) {
+                    files.push({ path: itemPath, placeholders, errors });
+                }
+            }
+        }
+    }
+
+    // Placeholders of a file resolve one by one in dependency order, so
+    // ${name} references work and every failure is reported
+    async resolveFile(file) {
+        const unresolved = file.errors.map(syntaxError => ({
+            file: file.path,
+            line: syntaxError.line,
+            placeholder: null,
+            error: `Invalid placeholder syntax: ${syntaxError.reason}`
+        }));
+
+        let ordered;
+        try {
+            ordered = this.paramResolver.orderByDependencies(file.placeholders);
+        } catch (error) {
+            unresolved.push({ file: file.path, line: null, placeholder: null, error: error.message });
+            return unresolved;
+        }
+
+        for (const placeholder of ordered) {
+            try {
+                await this.paramResolver.resolveText(placeholder.fullMatch);
+            } catch (error) {
+                unresolved.push({
+                    file: file.path,
+                    line: placeholder.line,
+                    placeholder: placeholder.fullMatch,
+                    error: this.paramResolver.mask(error.message)
+                });
+            }
+        }
+
+        return unresolved;
+    }
+}
+
+module.exports = Prefetcher;
@@ -0,0 +1,150 @@
+// Resolves placeholders in the Gauge messages from gauge.proto, in place.
+// Covers step text and fragments, parameter values (static, dynamic and
+// special), data table rows, concept steps and spec/scenario headings.
+// Table headers and parameter names are left alone because Gauge maps
+// dynamic parameters to table columns by name.
+class ProtoMessageResolver {
+    constructor(paramResolver) {
+        this.paramResolver = paramResolver;
+    }
+
+    async resolveString(text) {
+        return this.paramResolver.resolveText(text);
+    }
+
+    async resolveStep(step) {
+        if (!step) {
+            return step;
+        }
+
+        if (step.actualText) {
+            const resolvedText = await this.resolveString(step.actualText);
+            step.actualText = resolvedText;
+            step.parsedText = resolvedText;
+        }
+
+        for (const fragment of step.fragments || []) {
+            if (fragment.text) {
+                fragment.text = await this.resolveString(fragment.text);
+            }
+            await this.resolveParameter(fragment.parameter);
+        }
+
+        await this.resolveTable(step.dataTable);
+        return step;
+    }
+
+    async resolveParameter(parameter) {
+        if (!parameter) {
+            return parameter;
+        }
+
+        if (parameter.value) {
+            parameter.value = await this.resolveString(parameter.value);
+        }
+        await this.resolveTable(parameter.table);
+
+        return parameter;
+    }
+
+    async resolveTable(table) {
+        if (!table) {
+            return table;
+        }
+
+        for (const row of table.rows || []) {
+            row.cells = await this.resolveCells(row.cells);
+        }
+
+        return table;
+    }
+
+    async resolveCells(cells = []) {
+        const resolved = [];
+        for (const cell of cells) {
+            resolved.push(cell ? await this.resolveString(cell) : cell);
+        }
+        return resolved;
+    }
+
+    async resolveConcept(concept) {
+        if (!concept) {
+            return concept;
+        }
+
+        if (concept.conceptStep) {
+            concept.conceptStep = await this.resolveString(concept.conceptStep);
+        }
+        await this.resolveItems(concept.steps);
+
+        return concept;
+    }
+
+    async resolveItems(items = []) {
+        for (const item of items) {
+            await this.resolveItem(item);
+        }
+        return items;
+    }
+
+    async resolveItem(item) {
+        if (!item) {
+            return item;
+        }
+
+        await this.resolveStep(item.step);
+        await this.resolveConcept(item.concept);
+        await this.resolveScenario(item.scenario);
+        await this.resolveTable(item.table);
+
+        if (item.tableRow) {
+            item.tableRow.cells = await this.resolveCells(item.tableRow.cells);
+        }
+
+        return item;
+    }
+
+    async resolveScenario(scenario) {
+        if (!scenario) {
+            return scenario;
+        }
+
+        if (scenario.scenarioHeading) {
+            scenario.scenarioHeading = await this.resolveString(scenario.scenarioHeading);
+        }
+        await this.resolveItems(scenario.scenarioItems);
+        await this.resolveItems(scenario.tearDownSteps);
+
+        return scenario;
+    }
+
+    async resolveSpec(spec) {
+        if (!spec) {
+            return spec;
+        }
+
+        await this.resolveSpecHeader(spec);
+        await this.resolveItems(spec.items);
+        await this.resolveItems(spec.preTearDown);
+        await this.resolveItems(spec.postTearDown);
+
+        return spec;
+    }
+
+    // The heading and data table only, for messages about one scenario of
+    // the spec
+    async resolveSpecHeader(spec) {
+        if (!spec) {
+            return spec;
+        }
+
+        if (spec.specHeading) {
+            spec.specHeading = await this.resolveString(spec.specHeading);
+        }
+        await this.resolveTable(spec.dataTable);
+
+        return spec;
+    }
+}
+
+module.exports = ProtoMessageResolver;
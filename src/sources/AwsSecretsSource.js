@@ -1,8 +1,10 @@
 const AWS = require('aws-sdk');
 const get = require('lodash.get');
+const Logger = require('../logging/Logger');
+const Cache = require('../cache/Cache');
 
 class AwsSecretsSource {
-    constructor(config = {}) {
+    constructor(config = {}, context = {}) {
         this.config = {
             region: config.region || process.env.AWS_DEFAULT_REGION || 'us-east-1',
             accessKeyId: config.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
@@ -14,8 +16,9 @@ class AwsSecretsSource {
             retries: config.retries || 2,
             ...config
         };
+        this.logger = context.logger || Logger.silent();
         this.secretsManager = null;
-        this.secretCache = new Map();
+        this.secretCache = Cache.forSource(context, { name: 'aws', ttl: this.config.cacheTimeout || 300000 });
     }
 
     async initialize() {
@@ -63,6 +66,7 @@ class AwsSecretsSource {
             
             // Test connection
             await this.testConnection();
+            this.logger.debug(`Connected to AWS Secrets Manager in ${this.config.region}`);
             
         } catch (error) {
             throw new Error(`Failed to initialize AWS Secrets Manager: ${error.message}`);
@@ -93,14 +97,16 @@ class AwsSecretsSource {
             const cacheKey = `${secretName}:${versionId || versionStage || 'AWSCURRENT'}`;
             const cachedSecret = this.getCachedSecret(cacheKey);
             if (cachedSecret !== null) {
+                this.logger.debug(`Using cached secret ${cacheKey}`);
                 return this.extractField(cachedSecret, field);
             }
             
             // Fetch secret from AWS Secrets Manager
+            this.logger.debug(`Fetching secret ${cacheKey}`);
             const secret = await this.fetchSecret(secretName, versionId, versionStage);
             
             // Cache the secret
-            this.setCachedSecret(cacheKey, secret);
+            this.setCachedSecret(cacheKey, secret, key);
             
             // Extract and return the requested field
             return this.extractField(secret, field);
@@ -110,6 +116,80 @@ class AwsSecretsSource {
         }
     }
 
+    // Resolve several keys with BatchGetSecretValue, up to 20 secrets per
+    // call. Only current versions are batched; keys naming a version, and
+    // keys that fail, are left out of the returned Map of key to value.
+    async resolveBatch(keys) {
+        const keysBySecret = new Map();
+        for (const key of keys) {
+            const { secretName, versionId, versionStage } = this.parseKey(key);
+            if (versionId || versionStage) {
+                continue;
+            }
+            if (!keysBySecret.has(secretName)) {
+                keysBySecret.set(secretName, []);
+            }
+            keysBySecret.get(secretName).push(key);
+        }
+        
+        const secrets = new Map();
+        const uncached = [];
+        for (const secretName of keysBySecret.keys()) {
+            const cachedSecret = this.getCachedSecret(`${secretName}:AWSCURRENT`);
+            if (cachedSecret !== null) {
+                secrets.set(secretName, cachedSecret);
+            } else {
+                uncached.push(secretName);
+            }
+        }
+        
+        for (let start = 0; start < uncached.length; start += 20) {
+            const secretIds = uncached.slice(start, start + 20);
+            let nextToken;
+            do {
+                const params = { SecretIdList: secretIds };
+                if (nextToken) {
+                    params.NextToken = nextToken;
+                }
+                const result = await this.secretsManager.batchGetSecretValue(params).promise();
+                
+                for (const secretValue of result.SecretValues || []) {
+                    // Secrets may be requested by name or by ARN
+                    const secretName = secretIds.find(id => id === secretValue.Name || id === secretValue.ARN);
+                    if (secretName) {
+                        try {
+                            const secret = this.parseSecretValue(secretValue);
+                            this.setCachedSecret(`${secretName}:AWSCURRENT`, secret, keysBySecret.get(secretName)[0]);
+                            secrets.set(secretName, secret);
+                        } catch (error) {
+                            this.logger.debug(`Batch read of ${secretName} failed: ${error.message}`);
+                        }
+                    }
+                }
+                for (const batchError of result.Errors || []) {
+                    this.logger.debug(`Batch read of ${batchError.SecretId} failed: ${batchError.ErrorCode}`);
+                }
+                nextToken = result.NextToken;
+            } while (nextToken);
+        }
+        
+        const values = new Map();
+        for (const [secretName, secretKeys] of keysBySecret) {
+            if (!secrets.has(secretName)) {
+                continue;
+            }
+            for (const key of secretKeys) {
+                try {
+                    values.set(key, this.extractField(secrets.get(secretName), this.parseKey(key).field));
+                } catch (error) {
+                    this.logger.debug(`Batch lookup of '${key}' failed: ${error.message}`);
+                }
+            }
+        }
+        
+        return values;
+    }
+
     parseKey(key) {
         // Key formats:
         // "secretName" - get entire secret
@@ -166,23 +246,7 @@ class AwsSecretsSource {
             
             const result = await this.secretsManager.getSecretValue(params).promise();
             
-            let secretData;
-            if (result.SecretString) {
-                try {
-                    // Try to parse as JSON
-                    secretData = JSON.parse(result.SecretString);
-                } catch (jsonError) {
-                    // If not JSON, return as string
-                    secretData = result.SecretString;
-                }
-            } else if (result.SecretBinary) {
-                // Handle binary secrets
-                secretData = result.SecretBinary.toString('base64');
-            } else {
-                throw new Error('Secret contains no data');
-            }
-            
-            return secretData;
+            return this.parseSecretValue(result);
             
         } catch (error) {
             if (error.code === 'ResourceNotFoundException') {
@@ -199,6 +263,28 @@ class AwsSecretsSource {
         }
     }
 
+    // SecretString or SecretBinary of a GetSecretValue or
+    // BatchGetSecretValue result
+    parseSecretValue(result) {
+        let secretData;
+        if (result.SecretString) {
+            try {
+                // Try to parse as JSON
+                secretData = JSON.parse(result.SecretString);
+            } catch (jsonError) {
+                // If not JSON, return as string
+                secretData = result.SecretString;
+            }
+        } else if (result.SecretBinary) {
+            // Handle binary secrets
+            secretData = result.SecretBinary.toString('base64');
+        } else {
+            throw new Error('Secret contains no data');
+        }
+        
+        return secretData;
+    }
+
     extractField(secretData, field) {
         if (!field) {
             // Return the entire secret
@@ -221,26 +307,12 @@ class AwsSecretsSource {
     }
 
     getCachedSecret(key) {
-        const cached = this.secretCache.get(key);
-        if (!cached) {
-            return null;
-        }
-        
-        // Cache secrets for 5 minutes by default
-        const cacheTimeout = this.config.cacheTimeout || 300000; // 5 minutes
-        if (Date.now() - cached.timestamp > cacheTimeout) {
-            this.secretCache.delete(key);
-            return null;
-        }
-        
-        return cached.data;
+        return this.secretCache.get(key);
     }
 
-    setCachedSecret(key, data) {
-        this.secretCache.set(key, {
-            data: data,
-            timestamp: Date.now()
-        });
+    // `placeholderKey` is the key the secret was read for, for cache.keyTtl
+    setCachedSecret(key, data, placeholderKey = key) {
+        this.secretCache.set(key, data, { ttlKey: placeholderKey });
     }
 
     async refreshCache() {
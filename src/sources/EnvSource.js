@@ -1,10 +1,13 @@
+const Logger = require('../logging/Logger');
+
 class EnvSource {
-    constructor(config = {}) {
+    constructor(config = {}, context = {}) {
         this.config = {
             prefix: config.prefix || '',
             transformCase: config.transformCase || 'none', // 'upper', 'lower', 'none'
             ...config
         };
+        this.logger = context.logger || Logger.silent();
     }
 
     async initialize() {
@@ -36,6 +39,7 @@ class EnvSource {
                 throw new Error(`Environment variable '${envKey}' not found`);
             }
             
+            this.logger.debug(`Read environment variable ${envKey}`);
             return value;
         } catch (error) {
             throw new Error(`EnvSource failed to resolve key '${key}': ${error.message}`);
@@ -2,9 +2,10 @@ const fs = require('fs').promises;
 const path = require('path');
 const yaml = require('js-yaml');
 const get = require('lodash.get');
+const Logger = require('../logging/Logger');
 
 class FileSource {
-    constructor(config = {}) {
+    constructor(config = {}, context = {}) {
         this.config = {
             basePath: config.basePath || process.cwd(),
             allowedExtensions: config.allowedExtensions || ['.json', '.yaml', '.yml'],
@@ -12,6 +13,7 @@ class FileSource {
             maxFileSize: config.maxFileSize || 1024 * 1024, // 1MB default
             ...config
         };
+        this.logger = context.logger || Logger.silent();
         this.fileCache = new Map();
         this.fileMTimes = new Map();
     }
@@ -77,6 +79,7 @@ class FileSource {
             if (this.config.cacheFiles) {
                 const cachedData = await this.getCachedFile(filePath);
                 if (cachedData !== null) {
+                    this.logger.debug(`Using cached contents of ${filePath}`);
                     return cachedData;
                 }
             }
@@ -88,6 +91,7 @@ class FileSource {
             }
             
             // Read and parse file
+            this.logger.debug(`Loading ${filePath}`);
             const content = await fs.readFile(filePath, 'utf8');
             let data;
             
@@ -1,8 +1,10 @@
 const axios = require('axios');
 const get = require('lodash.get');
+const Logger = require('../logging/Logger');
+const Cache = require('../cache/Cache');
 
 class HttpSource {
-    constructor(config = {}) {
+    constructor(config = {}, context = {}) {
         this.config = {
             timeout: config.timeout || 3000,
             retries: config.retries || 2,
@@ -12,7 +14,8 @@ class HttpSource {
             cacheResponses: config.cacheResponses !== false, // Default to true
             ...config
         };
-        this.responseCache = new Map();
+        this.logger = context.logger || Logger.silent();
+        this.responseCache = Cache.forSource(context, { name: 'http', ttl: this.config.cacheTimeout || 300000 });
         this.httpClient = null;
     }
 
@@ -59,6 +62,7 @@ class HttpSource {
                     
                     // Wait before retry (exponential backoff)
                     const delay = Math.pow(2, config.retry) * 1000;
+                    this.logger.warn(`Request to ${config.url} failed, retrying in ${delay}ms (${config.retry}/${this.config.retries})`, { error });
                     await new Promise(resolve => setTimeout(resolve, delay));
                     
                     return this.httpClient(config);
@@ -78,11 +82,13 @@ class HttpSource {
             if (this.config.cacheResponses) {
                 const cachedResponse = this.getCachedResponse(key);
                 if (cachedResponse !== null) {
+                    this.logger.debug(`Using cached response for ${method} ${url}`);
                     return this.extractValue(cachedResponse, jsonPath);
                 }
             }
             
             // Make HTTP request
+            this.logger.debug(`Requesting ${method} ${url}`);
             const response = await this.makeRequest(url, method, body);
             
             // Cache response if enabled
@@ -202,26 +208,11 @@ class HttpSource {
     }
 
     getCachedResponse(key) {
-        const cached = this.responseCache.get(key);
-        if (!cached) {
-            return null;
-        }
-        
-        // Simple time-based cache expiry (5 minutes default)
-        const cacheTimeout = this.config.cacheTimeout || 300000; // 5 minutes
-        if (Date.now() - cached.timestamp > cacheTimeout) {
-            this.responseCache.delete(key);
-            return null;
-        }
-        
-        return cached.data;
+        return this.responseCache.get(key);
     }
 
     setCachedResponse(key, data) {
-        this.responseCache.set(key, {
-            data: data,
-            timestamp: Date.now()
-        });
+        this.responseCache.set(key, data);
     }
 
     async refreshCache() {
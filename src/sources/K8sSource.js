@@ -1,8 +1,10 @@
 const k8s = require('@kubernetes/client-node');
 const get = require('lodash.get');
+const Logger = require('../logging/Logger');
+const Cache = require('../cache/Cache');
 
 class K8sSource {
-    constructor(config = {}) {
+    constructor(config = {}, context = {}) {
         this.config = {
             kubeconfig: config.kubeconfig || null, // Path to kubeconfig file
             namespace: config.namespace || 'default',
@@ -11,10 +13,11 @@ class K8sSource {
             retries: config.retries || 2,
             ...config
         };
+        this.logger = context.logger || Logger.silent();
         this.k8sApi = null;
         this.k8sCoreV1Api = null;
-        this.secretCache = new Map();
-        this.configMapCache = new Map();
+        this.secretCache = Cache.forSource(context, { name: 'secrets', ttl: this.config.cacheTimeout || 120000 });
+        this.configMapCache = Cache.forSource(context, { name: 'configmaps', ttl: this.config.cacheTimeout || 120000 });
     }
 
     async initialize() {
@@ -44,6 +47,7 @@ class K8sSource {
             
             // Test connection
             await this.testConnection();
+            this.logger.debug(`Connected to Kubernetes, default namespace ${this.config.namespace}`);
             
         } catch (error) {
             throw new Error(`Failed to initialize Kubernetes client: ${error.message}`);
@@ -76,9 +80,9 @@ class K8sSource {
             
             let data;
             if (type === 'secret') {
-                data = await this.getSecret(name, targetNamespace);
+                data = await this.getSecret(name, targetNamespace, key);
             } else if (type === 'configmap') {
-                data = await this.getConfigMap(name, targetNamespace);
+                data = await this.getConfigMap(name, targetNamespace, key);
             } else {
                 throw new Error(`Unsupported Kubernetes resource type: ${type}. Supported types: secret, configmap`);
             }
@@ -118,17 +122,20 @@ class K8sSource {
         return { type, name, field, namespace };
     }
 
-    async getSecret(name, namespace) {
+    // `key` is the placeholder key, for cache.keyTtl
+    async getSecret(name, namespace, key = null) {
         try {
             const cacheKey = `secret:${namespace}:${name}`;
             
             // Check cache first
             const cachedSecret = this.getCachedData(cacheKey, this.secretCache);
             if (cachedSecret !== null) {
+                this.logger.debug(`Using cached secret ${namespace}/${name}`);
                 return cachedSecret;
             }
             
             // Fetch secret from Kubernetes
+            this.logger.debug(`Fetching secret ${namespace}/${name}`);
             const response = await this.k8sCoreV1Api.readNamespacedSecret(name, namespace);
             const secret = response.body;
             
@@ -143,7 +150,7 @@ class K8sSource {
             }
             
             // Cache the decoded data
-            this.setCachedData(cacheKey, decodedData, this.secretCache);
+            this.setCachedData(cacheKey, decodedData, this.secretCache, key);
             
             return decodedData;
             
@@ -158,17 +165,19 @@ class K8sSource {
         }
     }
 
-    async getConfigMap(name, namespace) {
+    async getConfigMap(name, namespace, key = null) {
         try {
             const cacheKey = `configmap:${namespace}:${name}`;
             
             // Check cache first
             const cachedConfigMap = this.getCachedData(cacheKey, this.configMapCache);
             if (cachedConfigMap !== null) {
+                this.logger.debug(`Using cached configmap ${namespace}/${name}`);
                 return cachedConfigMap;
             }
             
             // Fetch configmap from Kubernetes
+            this.logger.debug(`Fetching configmap ${namespace}/${name}`);
             const response = await this.k8sCoreV1Api.readNamespacedConfigMap(name, namespace);
             const configMap = response.body;
             
@@ -177,7 +186,7 @@ class K8sSource {
             }
             
             // Cache the data
-            this.setCachedData(cacheKey, configMap.data, this.configMapCache);
+            this.setCachedData(cacheKey, configMap.data, this.configMapCache, key);
             
             return configMap.data;
             
@@ -209,26 +218,11 @@ class K8sSource {
     }
 
     getCachedData(key, cache) {
-        const cached = cache.get(key);
-        if (!cached) {
-            return null;
-        }
-        
-        // Cache data for 2 minutes by default (K8s resources can change frequently)
-        const cacheTimeout = this.config.cacheTimeout || 120000; // 2 minutes
-        if (Date.now() - cached.timestamp > cacheTimeout) {
-            cache.delete(key);
-            return null;
-        }
-        
-        return cached.data;
+        return cache.get(key);
     }
 
-    setCachedData(key, data, cache) {
-        cache.set(key, {
-            data: data,
-            timestamp: Date.now()
-        });
+    setCachedData(key, data, cache, placeholderKey = key) {
+        cache.set(key, data, { ttlKey: placeholderKey || key });
     }
 
     async refreshCache() {
@@ -0,0 +1,146 @@
+const path = require('path');
+
+const EnvSource = require('./EnvSource');
+const FileSource = require('./FileSource');
+const HttpSource = require('./HttpSource');
+const VaultSource = require('./VaultSource');
+const AwsSecretsSource = require('./AwsSecretsSource');
+const K8sSource = require('./K8sSource');
+
+// Sources implement the following interface:
+//   async initialize()     - optional, connect and validate configuration
+//   async resolve(key)     - required, return the value for key or throw
+//   async refreshCache()   - optional, drop cached values
+//   async cleanup()        - optional, release clients and caches
+//
+// A factory is either a source class, instantiated with
+// `new Source(config, context)`, or a function `(config, context) => source`
+// that may return a promise. `context.logger` is a child logger for the source.
+class SourceRegistry {
+    constructor() {
+        this.factories = new Map();
+    }
+
+    static withBuiltins() {
+        const registry = new SourceRegistry();
+
+        // Cheap local sources are on unless disabled, remote ones must be enabled.
+        // Values from secret stores are masked in logs and reports. Remote
+        // sources may serve stale values when they fail (cache.staleIfError).
+        registry.register('env', EnvSource, { enabledByDefault: true });
+        registry.register('file', FileSource, { enabledByDefault: true });
+        registry.register('http', HttpSource, { enabledByDefault: true, remote: true });
+        registry.register('vault', VaultSource, { secret: true, remote: true });
+        registry.register('aws', AwsSecretsSource, { secret: true, remote: true });
+        registry.register('k8s', K8sSource, { secret: true, remote: true });
+
+        return registry;
+    }
+
+    register(name, factory, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Source name must be a non-empty string');
+        }
+        if (/[:#|<>!~]/.test(name)) {
+            throw new Error(`Source name '${name}' cannot contain ':', '#', '|', '<', '>', '!' or '~'`);
+        }
+        if (typeof factory !== 'function') {
+            throw new Error(`Source '${name}' must be registered with a class or factory function`);
+        }
+
+        this.factories.set(name, {
+            factory,
+            enabledByDefault: options.enabledByDefault === true,
+            secret: options.secret === true,
+            remote: options.remote === true
+        });
+    }
+
+    has(name) {
+        return this.factories.has(name);
+    }
+
+    names() {
+        return [...this.factories.keys()];
+    }
+
+    isEnabled(name, config = {}) {
+        const entry = this.factories.get(name);
+        if (config.enabled === true || config.enabled === false) {
+            return config.enabled;
+        }
+        return entry ? entry.enabledByDefault : false;
+    }
+
+    // A source config can mark any source as secret with { "secret": true }
+    isSecret(name, config = {}) {
+        const entry = this.factories.get(name);
+        if (config.secret === true || config.secret === false) {
+            return config.secret;
+        }
+        return entry ? entry.secret : false;
+    }
+
+    // Likewise { "remote": true } opts a source into stale-if-error
+    isRemote(name, config = {}) {
+        const entry = this.factories.get(name);
+        if (config.remote === true || config.remote === false) {
+            return config.remote;
+        }
+        return entry ? entry.remote : false;
+    }
+
+    async create(name, config = {}, context = {}) {
+        const entry = this.factories.get(name);
+        if (!entry) {
+            throw new Error(`Unknown source '${name}'. Registered sources: ${this.names().join(', ')}`);
+        }
+
+        const source = SourceRegistry.isClass(entry.factory)
+            ? new entry.factory(config, context)
+            : await entry.factory(config, context);
+
+        SourceRegistry.validateSource(name, source);
+        return source;
+    }
+
+    // Register a source declared in config as { "module": "./sources/mycorp.js" }.
+    // Relative module paths are resolved against the config file directory.
+    registerModule(name, modulePath, baseDir = process.cwd()) {
+        const resolvedPath = modulePath.startsWith('.') || path.isAbsolute(modulePath)
+            ? path.resolve(baseDir, modulePath)
+            : modulePath;
+
+        let factory;
+        try {
+            factory = require(resolvedPath);
+        } catch (error) {
+            throw new Error(`Failed to load module '${modulePath}' for source '${name}': ${error.message}`);
+        }
+
+        // Support both `module.exports = Source` and `exports.default = Source`
+        if (factory && typeof factory !== 'function' && typeof factory.default === 'function') {
+            factory = factory.default;
+        }
+
+        this.register(name, factory, { enabledByDefault: true });
+    }
+
+    static isClass(factory) {
+        return typeof factory.prototype?.resolve === 'function' || /^class[\s{]/.test(Function.prototype.toString.call(factory));
+    }
+
+    static validateSource(name, source) {
+        if (!source || typeof source.resolve !== 'function') {
+            throw new Error(`Source '${name}' does not implement resolve(key)`);
+        }
+
+        for (const method of ['initialize', 'refreshCache', 'cleanup']) {
+            if (source[method] !== undefined && typeof source[method] !== 'function') {
+                throw new Error(`Source '${name}' has a non-function '${method}' property`);
+            }
+        }
+    }
+}
+
+module.exports = SourceRegistry;
@@ -1,8 +1,10 @@
 const vault = require('node-vault');
 const get = require('lodash.get');
+const Logger = require('../logging/Logger');
+const Cache = require('../cache/Cache');
 
 class VaultSource {
-    constructor(config = {}) {
+    constructor(config = {}, context = {}) {
         this.config = {
             url: config.url || 'http://localhost:8200',
             token: config.token || process.env.VAULT_TOKEN,
@@ -13,8 +15,9 @@ class VaultSource {
             retries: config.retries || 2,
             ...config
         };
+        this.logger = context.logger || Logger.silent();
         this.vaultClient = null;
-        this.secretCache = new Map();
+        this.secretCache = Cache.forSource(context, { name: 'vault', ttl: this.config.cacheTimeout || 300000 });
     }
 
     async initialize() {
@@ -39,6 +42,7 @@ class VaultSource {
 
             // Test connection
             await this.testConnection();
+            this.logger.debug(`Connected to Vault at ${this.config.url}`);
             
         } catch (error) {
             throw new Error(`Failed to initialize Vault client: ${error.message}`);
@@ -68,14 +72,16 @@ class VaultSource {
             const cacheKey = secretPath;
             const cachedSecret = this.getCachedSecret(cacheKey);
             if (cachedSecret !== null) {
+                this.logger.debug(`Using cached secret ${secretPath}`);
                 return this.extractField(cachedSecret, field);
             }
             
             // Fetch secret from Vault
+            this.logger.debug(`Fetching secret ${secretPath}`);
             const secret = await this.fetchSecret(secretPath);
             
             // Cache the secret
-            this.setCachedSecret(cacheKey, secret);
+            this.setCachedSecret(cacheKey, secret, key);
             
             // Extract and return the requested field
             return this.extractField(secret, field);
@@ -85,6 +91,44 @@ class VaultSource {
         }
     }
 
+    // Resolve several keys reading each secret path once. Paths are read one
+    // after another, as the resolver counts a batch as one request. Returns
+    // a Map of key to value; keys that fail are left out.
+    async resolveBatch(keys) {
+        const keysByPath = new Map();
+        for (const key of keys) {
+            const { secretPath } = this.parseKey(key);
+            if (!keysByPath.has(secretPath)) {
+                keysByPath.set(secretPath, []);
+            }
+            keysByPath.get(secretPath).push(key);
+        }
+        
+        const values = new Map();
+        for (const [secretPath, pathKeys] of keysByPath) {
+            let secret = this.getCachedSecret(secretPath);
+            if (secret === null) {
+                try {
+                    secret = await this.fetchSecret(secretPath);
+                    this.setCachedSecret(secretPath, secret, pathKeys[0]);
+                } catch (error) {
+                    this.logger.debug(`Batch read of ${secretPath} failed: ${error.message}`);
+                    continue;
+                }
+            }
+            
+            for (const key of pathKeys) {
+                try {
+                    values.set(key, this.extractField(secret, this.parseKey(key).field));
+                } catch (error) {
+                    this.logger.debug(`Batch lookup of '${key}' failed: ${error.message}`);
+                }
+            }
+        }
+        
+        return values;
+    }
+
     parseKey(key) {
         // Key format: "path/to/secret:field" or "path/to/secret"
         const parts = key.split(':');
@@ -149,26 +193,12 @@ class VaultSource {
     }
 
     getCachedSecret(path) {
-        const cached = this.secretCache.get(path);
-        if (!cached) {
-            return null;
-        }
-        
-        // Cache secrets for 5 minutes by default
-        const cacheTimeout = this.config.cacheTimeout || 300000; // 5 minutes
-        if (Date.now() - cached.timestamp > cacheTimeout) {
-            this.secretCache.delete(path);
-            return null;
-        }
-        
-        return cached.data;
+        return this.secretCache.get(path);
     }
 
-    setCachedSecret(path, data) {
-        this.secretCache.set(path, {
-            data: data,
-            timestamp: Date.now()
-        });
+    // `key` is the placeholder key the secret was read for, for cache.keyTtl
+    setCachedSecret(path, data, key = path) {
+        this.secretCache.set(path, data, { ttlKey: key });
     }
 
     async refreshCache() {
@@ -0,0 +1,128 @@
+const get = require('lodash.get');
+
+// A transformer is a function `(value, ...args) => string` applied to a
+// resolved value, e.g. `<token:aws#api:token | base64decode | trim>`.
+// Arguments are passed as strings: `substring(0, 8)` calls fn(value, '0', '8').
+class TransformerRegistry {
+    constructor() {
+        this.transformers = new Map();
+    }
+
+    static withBuiltins() {
+        const registry = new TransformerRegistry();
+
+        registry.register('trim', value => value.trim());
+        registry.register('upper', value => value.toUpperCase());
+        registry.register('lower', value => value.toLowerCase());
+        registry.register('base64decode', value => TransformerRegistry.decodeBase64(value));
+        registry.register('base64encode', value => Buffer.from(value, 'utf8').toString('base64'));
+        registry.register('urlencode', value => encodeURIComponent(value));
+        registry.register('urldecode', value => decodeURIComponent(value));
+        registry.register('json', (value, jsonPath) => TransformerRegistry.extractJson(value, jsonPath));
+        registry.register('substring', (value, start, end) => TransformerRegistry.substring(value, start, end));
+
+        return registry;
+    }
+
+    register(name, transformer) {
+        if (!/^[A-Za-z_][\w-]*$/.test(name || '')) {
+            throw new Error(`Invalid transformer name '${name}'. Use letters, digits, '_' or '-'`);
+        }
+        if (typeof transformer !== 'function') {
+            throw new Error(`Transformer '${name}' must be a function`);
+        }
+
+        this.transformers.set(name, transformer);
+    }
+
+    has(name) {
+        return this.transformers.has(name);
+    }
+
+    names() {
+        return [...this.transformers.keys()];
+    }
+
+    async apply(value, chain = []) {
+        let transformed = value;
+
+        for (const { name, args } of chain) {
+            const transformer = this.transformers.get(name);
+            if (!transformer) {
+                throw new Error(`Unknown transformer '${name}'. Available: ${this.names().join(', ')}`);
+            }
+
+            try {
+                transformed = await transformer(String(transformed), ...args);
+            } catch (error) {
+                throw new Error(`Transformer '${name}' failed: ${error.message}`);
+            }
+
+            if (transformed === null || transformed === undefined) {
+                throw new Error(`Transformer '${name}' returned no value`);
+            }
+            if (typeof transformed !== 'string') {
+                transformed = typeof transformed === 'object' ? JSON.stringify(transformed) : String(transformed);
+            }
+        }
+
+        return transformed;
+    }
+
+    // Parse "base64decode | substring(0, 8)" into [{ name, args }]
+    static parseChain(chainText) {
+        return chainText.split('|').map(segment => {
+            const match = segment.trim().match(/^([A-Za-z_][\w-]*)(?:\((.*)\))?$/);
+            if (!match) {
+                throw new Error(`Invalid transformer '${segment.trim()}'`);
+            }
+
+            const args = match[2] === undefined || match[2].trim() === ''
+                ? []
+                : match[2].split(',').map(arg => arg.trim());
+
+            return { name: match[1], args };
+        });
+    }
+
+    static decodeBase64(value) {
+        const normalized = value.trim();
+        if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(normalized)) {
+            throw new Error('Value is not valid base64');
+        }
+        return Buffer.from(normalized, 'base64').toString('utf8');
+    }
+
+    static extractJson(value, jsonPath) {
+        let data;
+        try {
+            data = JSON.parse(value);
+        } catch (error) {
+            throw new Error(`Value is not valid JSON: ${error.message}`);
+        }
+
+        if (!jsonPath) {
+            return JSON.stringify(data);
+        }
+
+        const extracted = get(data, jsonPath);
+        if (extracted === undefined) {
+            throw new Error(`Path '${jsonPath}' not found in JSON value`);
+        }
+
+        return typeof extracted === 'string' ? extracted : JSON.stringify(extracted);
+    }
+
+    static substring(value, start, end) {
+        const startIndex = Number.parseInt(start, 10);
+        const endIndex = end === undefined ? undefined : Number.parseInt(end, 10);
+
+        if (Number.isNaN(startIndex) || Number.isNaN(endIndex)) {
+            throw new Error('substring expects integer arguments, e.g. substring(0, 8)');
+        }
+
+        return value.substring(startIndex, endIndex);
+    }
+}
+
+module.exports = TransformerRegistry;
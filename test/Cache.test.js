@@ -0,0 +1,66 @@
+const Cache = require('../src/cache/Cache');
+
+describe('Cache', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should evict the least recently used entry beyond maxEntries', () => {
+        const cache = new Cache({ name: 'test', maxEntries: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        expect(cache.get('a')).toBe(1);
+        cache.set('c', 3);
+
+        expect(cache.get('b')).toBeNull();
+        expect(cache.get('a')).toBe(1);
+        expect(cache.get('c')).toBe(3);
+        expect(cache.getStats()).toEqual({
+            name: 'test', size: 2, hits: 3, misses: 1, staleHits: 0, expirations: 0, evictions: 1, hitRate: 0.75
+        });
+    });
+
+    test('should expire entries after the cache, key or entry TTL', () => {
+        const cache = new Cache({
+            ttl: 1000,
+            ttlFor: key => (key.startsWith('short') ? 100 : undefined)
+        });
+        cache.set('long', 'value');
+        cache.set('short-lived', 'value');
+        cache.set('derived', 'value', { ttlKey: 'short/path' });
+        cache.set('explicit', 'value', { ttl: 5000 });
+        cache.set('uncached', 'value', { ttl: 0 });
+
+        now += 500;
+        expect(cache.get('short-lived')).toBeNull();
+        expect(cache.get('derived')).toBeNull();
+        expect(cache.get('long')).toBe('value');
+        expect(cache.get('uncached')).toBeNull();
+
+        now += 1000;
+        expect(cache.get('long')).toBeNull();
+        expect(cache.get('explicit')).toBe('value');
+        expect(cache.getStats().expirations).toBe(3);
+    });
+
+    test('should keep expired entries for getStale within staleTtl', () => {
+        const cache = new Cache({ ttl: 1000, staleTtl: 5000 });
+        cache.set('token', 'value');
+
+        cache.expire();
+        expect(cache.get('token')).toBeNull();
+        expect(cache.getStale('token')).toMatchObject({ value: 'value', expiresAt: now });
+
+        now += 5000;
+        expect(cache.getStale('token')).toBeNull();
+        expect(cache.get('token')).toBeNull();
+        expect(cache.size).toBe(0);
+    });
+});
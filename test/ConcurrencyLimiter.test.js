@@ -0,0 +1,36 @@
+const ConcurrencyLimiter = require('../src/resolver/ConcurrencyLimiter');
+
+describe('ConcurrencyLimiter', () => {
+    test('should run at most limit tasks at a time in FIFO order', async () => {
+        const limiter = new ConcurrencyLimiter(2);
+        const started = [];
+        let active = 0;
+        let maxActive = 0;
+
+        const task = id => limiter.run(async () => {
+            started.push(id);
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+            return id;
+        });
+
+        const first = [task(1), task(2), task(3)];
+        // A task queued while the slot is handed over must not overtake
+        await first[0];
+        const results = await Promise.all([...first, task(4), task(5)]);
+
+        expect(results).toEqual([1, 2, 3, 4, 5]);
+        expect(started).toEqual([1, 2, 3, 4, 5]);
+        expect(maxActive).toBe(2);
+    });
+
+    test('should free the slot when a task fails', async () => {
+        const limiter = new ConcurrencyLimiter(1);
+
+        await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        await expect(limiter.run(async () => 'next')).resolves.toBe('next');
+        expect(() => new ConcurrencyLimiter(0)).toThrow('Concurrency limit must be a positive integer, got 0');
+    });
+});
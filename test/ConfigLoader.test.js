@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigLoader = require('../src/config/ConfigLoader');
+
+describe('ConfigLoader', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        delete process.env.GAUGE_EXTERNAL_PARAMS_CONFIG;
+        delete process.env.GAUGE_EXTERNAL_PARAMS_PROFILE;
+        delete process.env.gauge_environment;
+    });
+
+    const write = (name, content) => {
+        const filePath = path.join(tmpDir, name);
+        fs.writeFileSync(filePath, content, 'utf8');
+        return filePath;
+    };
+
+    test('should find YAML config in the working directory', () => {
+        write('gauge-external-params.yaml', 'cacheTimeout: 5\n');
+
+        expect(ConfigLoader.resolvePath(null, tmpDir)).toBe(path.join(tmpDir, 'gauge-external-params.yaml'));
+    });
+
+    test('should prefer the explicit path, then the environment variable', () => {
+        process.env.GAUGE_EXTERNAL_PARAMS_CONFIG = 'from-env.json';
+
+        expect(ConfigLoader.resolvePath('cli.yml', tmpDir)).toBe(path.join(tmpDir, 'cli.yml'));
+        expect(ConfigLoader.resolvePath(null, tmpDir)).toBe(path.join(tmpDir, 'from-env.json'));
+    });
+
+    test('should load JS config exporting a function', async () => {
+        const configPath = write('gauge-external-params.js', 'module.exports = async () => ({ cacheTimeout: 7 });\n');
+
+        const { config, files } = await ConfigLoader.load(configPath);
+
+        expect(config).toEqual({ cacheTimeout: 7 });
+        expect(files).toEqual([configPath]);
+    });
+
+    test('should deep-merge a profile overlay over the base config', async () => {
+        const configPath = write('gauge-external-params.yaml', [
+            'sources:',
+            '  vault:',
+            '    enabled: false',
+            '    url: http://localhost:8200',
+            'resolution:',
+            '  precedence: [env, file, vault]'
+        ].join('\n'));
+        const overlayPath = write('gauge-external-params.staging.json', JSON.stringify({
+            sources: { vault: { enabled: true } },
+            resolution: { precedence: ['vault', 'env'] }
+        }));
+
+        const { config, files } = await ConfigLoader.load(configPath, { profile: ConfigLoader.resolveProfile('staging') });
+
+        expect(config).toEqual({
+            sources: { vault: { enabled: true, url: 'http://localhost:8200' } },
+            resolution: { precedence: ['vault', 'env'] }
+        });
+        expect(files).toEqual([configPath, overlayPath]);
+    });
+
+    test('should require an overlay for an explicit profile only', async () => {
+        const configPath = write('gauge-external-params.json', '{ "cacheTimeout": 5 }');
+
+        await expect(ConfigLoader.load(configPath, { profile: ConfigLoader.resolveProfile('prod') }))
+            .rejects.toThrow("No config found for profile 'prod'");
+
+        process.env.gauge_environment = 'default';
+        const { config } = await ConfigLoader.load(configPath, { profile: ConfigLoader.resolveProfile() });
+        expect(config).toEqual({ cacheTimeout: 5 });
+    });
+
+    test('should apply an overlay to defaults when there is no base file', async () => {
+        write('gauge-external-params.dev.json', '{ "cacheTimeout": 1 }');
+
+        const { config, found } = await ConfigLoader.load(path.join(tmpDir, 'gauge-external-params.json'), {
+            profile: ConfigLoader.resolveProfile('dev'),
+            defaults: { cacheTimeout: 60, sources: {} }
+        });
+
+        expect(found).toBe(false);
+        expect(config).toEqual({ cacheTimeout: 1, sources: {} });
+    });
+
+    test('should reject files that do not contain an object', async () => {
+        const configPath = write('gauge-external-params.yml', '- a\n- b\n');
+
+        await expect(ConfigLoader.load(configPath)).rejects.toThrow('gauge-external-params.yml must contain a config object');
+    });
+
+    describe('Environment variable expansion', () => {
+        afterEach(() => {
+            delete process.env.TEST_API_TOKEN;
+            delete process.env.TEST_EMPTY;
+        });
+
+        test('should expand variables and defaults in nested values', () => {
+            process.env.TEST_API_TOKEN = 'abc123';
+            process.env.TEST_EMPTY = '';
+
+            const expanded = ConfigLoader.expandEnv({
+                sources: {
+                    http: {
+                        headers: { Authorization: 'Bearer ${TEST_API_TOKEN}' },
+                        baseURL: '${TEST_EMPTY:-https://api.example.com}'
+                    }
+                },
+                resolution: { precedence: ['${TEST_UNSET:-env}', 'file'] },
+                cacheTimeout: 60
+            });
+
+            expect(expanded).toEqual({
+                sources: {
+                    http: {
+                        headers: { Authorization: 'Bearer abc123' },
+                        baseURL: 'https://api.example.com'
+                    }
+                },
+                resolution: { precedence: ['env', 'file'] },
+                cacheTimeout: 60
+            });
+        });
+
+        test('should record the key paths of expanded values', () => {
+            process.env.TEST_API_TOKEN = 'abc123';
+            const expandedPaths = [];
+
+            ConfigLoader.expandEnv({
+                sources: { vault: { token: '${TEST_API_TOKEN}', enabled: '${TEST_UNSET:-true}', address: 'http://vault' } },
+                resolution: { precedence: ['${TEST_UNSET:-env}', 'file'] },
+                literal: '$${TEST_API_TOKEN}'
+            }, process.env, expandedPaths);
+
+            expect(expandedPaths).toEqual([
+                ['sources', 'vault', 'token'],
+                ['sources', 'vault', 'enabled'],
+                ['resolution', 'precedence', 0]
+            ]);
+        });
+
+        test('should keep escaped references literally', () => {
+            expect(ConfigLoader.expandEnv({ value: '$${TEST_API_TOKEN}' })).toEqual({ value: '${TEST_API_TOKEN}' });
+        });
+
+        test('should report every missing variable with its path', () => {
+            expect(() => ConfigLoader.expandEnv({
+                sources: { vault: { token: '${TEST_MISSING_TOKEN}' }, http: { auth: { token: '${TEST_MISSING_API}' } } }
+            })).toThrow('Missing environment variables referenced in config: sources.vault.token (TEST_MISSING_TOKEN), sources.http.auth.token (TEST_MISSING_API)');
+        });
+
+        test('should expand values when loading', async () => {
+            process.env.TEST_API_TOKEN = 'from-env';
+            const configPath = write('gauge-external-params.yaml', 'sources:\n  vault:\n    token: ${TEST_API_TOKEN}\n');
+
+            const { config } = await ConfigLoader.load(configPath);
+
+            expect(config.sources.vault.token).toBe('from-env');
+        });
+    });
+});
@@ -0,0 +1,83 @@
+const ConfigValidator = require('../src/config/ConfigValidator');
+const shippedConfig = require('../gauge-external-params.json');
+
+describe('ConfigValidator', () => {
+    const sourceNames = ['env', 'file', 'http', 'vault', 'aws', 'k8s'];
+    let validator;
+
+    beforeEach(() => {
+        validator = new ConfigValidator();
+    });
+
+    test('should accept the shipped config', () => {
+        expect(validator.validate(shippedConfig, { sourceNames })).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    test('should report wrong types and values with their path', () => {
+        const result = validator.validate({
+            cacheTimeout: 'soon',
+            sources: { vault: { timeout: 1.5, version: 'v3' } },
+            logging: { level: 'loud' }
+        });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(expect.arrayContaining([
+            'cacheTimeout: must be number',
+            'sources.vault.timeout: must be integer',
+            'sources.vault.version: must be one of "v1", "v2"',
+            'logging.level: must be one of "debug", "info", "warn", "error", "silent"'
+        ]));
+    });
+
+    test('should warn on unknown keys with a suggestion', () => {
+        const result = validator.validate({
+            cacheTimout: 10,
+            sources: { env: { enabeld: true } }
+        });
+
+        expect(result.valid).toBe(true);
+        expect(result.warnings).toEqual([
+            "cacheTimout: unknown key, did you mean 'cacheTimeout'? (ignored)",
+            "sources.env.enabeld: unknown key, did you mean 'enabled'? (ignored)"
+        ]);
+    });
+
+    test('should warn on unknown sources but accept module sources', () => {
+        const result = validator.validate({
+            sources: {
+                valut: { enabled: true },
+                mycorp: { module: './mycorp.js', anyOption: 1 }
+            }
+        }, { sourceNames });
+
+        expect(result.warnings).toEqual(["sources.valut: unknown source, did you mean 'vault'?"]);
+    });
+
+    test('should summarize invalid http auth', () => {
+        const result = validator.validate({ sources: { http: { auth: { username: 'admin' } } } });
+
+        expect(result.errors).toEqual([
+            'sources.http.auth: must be null, { "token": "..." } or { "username": "...", "password": "..." }'
+        ]);
+    });
+
+    test('should coerce expanded strings to the expected type', () => {
+        const config = { cacheTimeout: '30', sources: { vault: { enabled: 'true', timeout: '5000' } } };
+        const expanded = [['cacheTimeout'], ['sources', 'vault', 'enabled'], ['sources', 'vault', 'timeout']];
+
+        expect(validator.validate(config, { expanded }).valid).toBe(true);
+        expect(config).toEqual({ cacheTimeout: 30, sources: { vault: { enabled: true, timeout: 5000 } } });
+    });
+
+    test('should not coerce literal values of the wrong type', () => {
+        const config = { cacheTimeout: '300', sources: { vault: { enabled: 1, timeout: '5000' } } };
+
+        const result = validator.validate(config, { expanded: [['sources', 'vault', 'timeout']] });
+
+        expect(result.errors).toEqual([
+            'cacheTimeout: must be number',
+            'sources.vault.enabled: must be boolean'
+        ]);
+        expect(config.sources.vault.timeout).toBe(5000);
+    });
+});
@@ -0,0 +1,57 @@
+const FileHandlerRegistry = require('../src/preprocessor/FileHandlerRegistry');
+
+describe('FileHandlerRegistry', () => {
+    const values = {
+        '<city:env#CITY>': 'Portland, OR',
+        '<quote:env#QUOTE>': 'say "hi"',
+        '<user:env#USER_NAME>': 'alice'
+    };
+    const resolveText = async text => text.replace(/<[^>]+>/g, match => values[match] ?? match);
+
+    test('should map default extensions and honour configured overrides', () => {
+        const registry = FileHandlerRegistry.withBuiltins();
+
+        expect(registry.getHandler('login.spec').name).toBe('text');
+        expect(registry.getHandler('steps.cpt').name).toBe('text');
+        expect(registry.getHandler('users.csv').name).toBe('csv');
+        expect(registry.getHandler('fixture.json')).toBeNull();
+        expect(registry.getHandler('fixture.json', 'text').name).toBe('text');
+
+        registry.configure({ json: 'json', '.csv': false });
+
+        expect(registry.getHandler('fixture.JSON').name).toBe('json');
+        expect(registry.getHandler('users.csv')).toBeNull();
+        expect(() => registry.configure({ '.xml': 'xml' })).toThrow("Unknown file handler 'xml' for '.xml'");
+    });
+
+    test('should quote CSV cells whose resolved value needs it and keep line endings', async () => {
+        const content = 'name,city,note\r\n<user:env#USER_NAME>,<city:env#CITY>,"<quote:env#QUOTE>"\r\n';
+
+        const resolved = await FileHandlerRegistry.resolveCsv(content, resolveText);
+
+        expect(resolved).toBe('name,city,note\r\nalice,"Portland, OR","say ""hi"""\r\n');
+    });
+
+    test('should keep quoted CSV fields spanning lines in one record', () => {
+        const records = FileHandlerRegistry.parseCsv('a,"multi\nline",c\nd,e,f');
+
+        expect(records).toHaveLength(2);
+        expect(records[0].cells.map(cell => cell.value)).toEqual(['a', 'multi\nline', 'c']);
+        expect(() => FileHandlerRegistry.parseCsv('a,"open')).toThrow('Unterminated quoted CSV field');
+    });
+
+    test('should resolve JSON string values only and escape the result', async () => {
+        const content = '{\n    "user": "<user:env#USER_NAME>",\n    "greeting": ["<quote:env#QUOTE>"],\n    "retries": 3\n}\n';
+
+        const resolved = await FileHandlerRegistry.resolveJson(content, resolveText);
+
+        expect(resolved).toBe('{\n    "user": "alice",\n    "greeting": [\n        "say \\"hi\\""\n    ],\n    "retries": 3\n}\n');
+        expect(JSON.parse(resolved).greeting[0]).toBe('say "hi"');
+    });
+
+    test('should resolve YAML string values', async () => {
+        const resolved = await FileHandlerRegistry.resolveYaml('city: <city:env#CITY>\nport: 8080\n', resolveText);
+
+        expect(resolved).toBe('city: Portland, OR\nport: 8080\n');
+    });
+});
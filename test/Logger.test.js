@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../src/logging/Logger');
+const SecretMasker = require('../src/logging/SecretMasker');
+
+describe('Logger', () => {
+    let lines;
+    let stream;
+
+    beforeEach(() => {
+        lines = [];
+        stream = { write: line => lines.push(line) };
+    });
+
+    test('should drop messages below the configured level', () => {
+        const logger = new Logger({ stream, level: 'warn', verbose: false });
+
+        logger.debug('debug message');
+        logger.info('info message');
+        logger.warn('warn message');
+        logger.error('error message');
+
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toMatch(/WARN  warn message\n$/);
+        expect(lines[1]).toMatch(/ERROR error message\n$/);
+    });
+
+    test('should let verbose override the configured level', () => {
+        const logger = new Logger({ stream, level: 'error', verbose: true });
+
+        logger.debug('debug message');
+
+        expect(lines).toHaveLength(1);
+        expect(logger.level).toBe('debug');
+    });
+
+    test('should write JSON entries with child context', () => {
+        const logger = new Logger({ stream, format: 'json', verbose: false });
+
+        logger.child({ source: 'vault' }).info('Fetching secret', { path: 'secret/app' });
+
+        expect(JSON.parse(lines[0])).toEqual({
+            time: expect.any(String),
+            level: 'info',
+            source: 'vault',
+            msg: 'Fetching secret',
+            path: 'secret/app'
+        });
+    });
+
+    test('should share configuration with child loggers', () => {
+        const logger = new Logger({ stream, verbose: false });
+        const child = logger.child({ source: 'http' });
+
+        logger.configure({ level: 'error' });
+        child.warn('ignored');
+
+        expect(lines).toEqual([]);
+    });
+
+    test('should mask secrets in messages and fields', () => {
+        const masker = new SecretMasker();
+        masker.track('hunter22');
+        const logger = new Logger({ stream, masker, format: 'json', verbose: false });
+
+        logger.error('Login with hunter22 failed', { error: new Error('bad password hunter22') });
+
+        expect(lines[0]).not.toContain('hunter22');
+        expect(JSON.parse(lines[0])).toEqual(expect.objectContaining({
+            msg: 'Login with **** failed',
+            error: 'bad password ****'
+        }));
+    });
+
+    test('should append to a log file', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+        const file = path.join(tmpDir, 'logs', 'run.log');
+        const logger = new Logger({ stream, file, verbose: false });
+
+        logger.info('first');
+        logger.info('second');
+
+        const content = fs.readFileSync(file, 'utf8').trim().split('\n');
+        expect(content).toHaveLength(2);
+        expect(content[1]).toMatch(/INFO  second$/);
+
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should reject unknown levels', () => {
+        expect(() => new Logger({ stream, level: 'verbose' })).toThrow("Invalid logging level 'verbose'");
+    });
+});
@@ -46,6 +46,17 @@ describe('ParamResolver', () => {
             const placeholder = ParamResolver.createPlaceholder('user', 'env', 'USERNAME');
             expect(placeholder).toBe('<user:env#USERNAME>');
         });
+
+        test('should quote defaults containing special characters', () => {
+            const placeholder = ParamResolver.createPlaceholder('user', 'env', 'USERNAME', 'a | "b" > c');
+            expect(placeholder).toBe('<user:env#USERNAME|"a | \\"b\\" > c">');
+            expect(ParamResolver.parsePlaceholder(placeholder).defaultValue).toBe('a | "b" > c');
+        });
+
+        test('should throw precise syntax errors', () => {
+            expect(() => ParamResolver.parsePlaceholder('<user:env#USERNAME'))
+                .toThrow('Unterminated placeholder, expected ">" at line 1, column 1');
+        });
     });
 
     describe('Text Resolution', () => {
@@ -92,4 +103,534 @@ describe('ParamResolver', () => {
             delete process.env.HOST;
         });
     });
-});
\ No newline at end of file
+
+    describe('Nested Placeholders and References', () => {
+        beforeEach(async () => {
+            const configPath = path.join(__dirname, 'fixtures', 'test-config.json');
+            resolver = new ParamResolver(configPath);
+            await resolver.initialize();
+        });
+
+        test('should parse placeholder with nested placeholder in key', () => {
+            const parsed = ParamResolver.parsePlaceholder('<cfg:env#APP_<tenant:env#TENANT>_URL|none>');
+            expect(parsed).toEqual({
+                name: 'cfg',
+                source: 'env',
+                key: 'APP_<tenant:env#TENANT>_URL',
+                defaultValue: 'none'
+            });
+        });
+
+        test('should resolve ${name} references in dependency order', async () => {
+            process.env.NESTED_TENANT = 'acme';
+            process.env.TENANT_acme_URL = 'https://acme.example.com';
+
+            const text = 'Open <url:env#TENANT_${tenant}_URL> for <tenant:env#NESTED_TENANT>';
+            const resolved = await resolver.resolveText(text);
+
+            expect(resolved).toBe('Open https://acme.example.com for acme');
+
+            delete process.env.NESTED_TENANT;
+            delete process.env.TENANT_acme_URL;
+        });
+
+        test('should resolve references to placeholders from earlier calls', async () => {
+            process.env.NESTED_TENANT = 'acme';
+
+            await resolver.resolveText('Tenant <tenant:env#NESTED_TENANT>');
+            const resolved = await resolver.resolveText('Missing <cfg:env#CFG_${tenant}|default-${tenant}>');
+
+            expect(resolved).toBe('Missing default-acme');
+
+            delete process.env.NESTED_TENANT;
+        });
+
+        test('should resolve nested placeholders inside keys', async () => {
+            process.env.NESTED_TENANT = 'acme';
+            process.env.TENANT_acme_URL = 'https://acme.example.com';
+
+            const resolved = await resolver.resolveText('Open <url:env#TENANT_<tenant:env#NESTED_TENANT>_URL>');
+
+            expect(resolved).toBe('Open https://acme.example.com');
+
+            delete process.env.NESTED_TENANT;
+            delete process.env.TENANT_acme_URL;
+        });
+
+        test('should resolve a reused name to the placeholder before it', async () => {
+            process.env.RV_X = 'first';
+            process.env.RV_first = 'second';
+            process.env.RV_second = 'third';
+
+            const resolved = await resolver.resolveText('<a:env#RV_X> <a:env#RV_${a}> <b:env#RV_${a}>');
+
+            expect(resolved).toBe('first second third');
+
+            delete process.env.RV_X;
+            delete process.env.RV_first;
+            delete process.env.RV_second;
+        });
+
+        test('should report circular references', async () => {
+            const text = '<a:env#A_${b}> <b:env#B_${a}>';
+
+            await expect(resolver.resolveText(text)).rejects.toThrow('Circular placeholder reference: a -> b -> a');
+        });
+
+        test('should report unknown references', async () => {
+            await expect(resolver.resolveText('<a:env#A_${missing}>')).rejects.toThrow("Unknown placeholder reference '${missing}'");
+        });
+
+        test('should insert values containing replacement patterns verbatim', async () => {
+            process.env.DOLLAR_VALUE = "price$&$'";
+
+            const resolved = await resolver.resolveText('Value <v:env#DOLLAR_VALUE>!');
+
+            expect(resolved).toBe("Value price$&$'!");
+
+            delete process.env.DOLLAR_VALUE;
+        });
+    });
+
+    describe('Source Registration', () => {
+        test('should resolve from a programmatically registered source', async () => {
+            const configPath = path.join(__dirname, 'fixtures', 'test-config.json');
+            resolver = new ParamResolver(configPath);
+            resolver.registerSource('inline', () => ({
+                resolve: async (key) => `inline-${key}`
+            }));
+            await resolver.initialize();
+
+            const resolved = await resolver.resolveText('Value <v:inline#abc>');
+
+            expect(resolver.sources.has('inline')).toBe(true);
+            expect(resolved).toBe('Value inline-abc');
+        });
+
+        test('should reject configs that do not match the schema', async () => {
+            const configPath = path.join(__dirname, 'fixtures', 'invalid-config.json');
+            resolver = new ParamResolver(configPath);
+
+            await expect(resolver.initialize()).rejects.toThrow('sources.env.enabled: must be boolean');
+        });
+
+        test('should report config problems without throwing', async () => {
+            const configPath = path.join(__dirname, 'fixtures', 'invalid-config.json');
+            resolver = new ParamResolver(configPath);
+
+            const result = await resolver.checkConfig();
+
+            expect(result.found).toBe(true);
+            expect(result.errors).toEqual(['sources.env.enabled: must be boolean']);
+        });
+
+        test('should load sources declared with a module path in config', async () => {
+            const configPath = path.join(__dirname, 'fixtures', 'custom-source-config.json');
+            resolver = new ParamResolver(configPath);
+            await resolver.initialize();
+
+            const resolved = await resolver.resolveText('Password <pw:mycorp#db/password>');
+
+            expect(resolved).toBe('Password s3cret');
+        });
+
+        test('should reject sources without a resolve method', async () => {
+            const configPath = path.join(__dirname, 'fixtures', 'test-config.json');
+            resolver = new ParamResolver(configPath);
+            resolver.registerSource('broken', () => ({}));
+            await resolver.initialize();
+
+            expect(resolver.sources.has('broken')).toBe(false);
+        });
+
+        test('should reject invalid source names', () => {
+            expect(() => resolver.registerSource('bad#name', () => ({ resolve: async () => '' })))
+                .toThrow("Source name 'bad#name' cannot contain");
+        });
+    });
+
+    describe('Resolution Policy', () => {
+        beforeEach(() => {
+            const configPath = path.join(__dirname, 'fixtures', 'test-config.json');
+            resolver = new ParamResolver(configPath);
+            resolver.registerSource('vaultlike', () => ({
+                resolve: async (key) => {
+                    throw new Error(`no secret at ${key}`);
+                }
+            }));
+        });
+
+        test('should parse strict and fallback markers on the source', () => {
+            expect(ParamResolver.parsePlaceholder('<pw:vault!#db:password>')).toEqual(expect.objectContaining({
+                source: 'vault',
+                policy: 'strict'
+            }));
+            expect(ParamResolver.parsePlaceholder('<pw:vault~#db:password>')).toEqual(expect.objectContaining({
+                source: 'vault',
+                policy: 'fallback'
+            }));
+        });
+
+        test('should fall back to other sources and record the serving source', async () => {
+            process.env.POLICY_KEY = 'from-env';
+            await resolver.initialize();
+
+            const resolved = await resolver.resolveText('<pw:vaultlike#POLICY_KEY>');
+
+            expect(resolved).toBe('from-env');
+            expect(resolver.getResolutionReport()).toEqual([expect.objectContaining({
+                placeholder: '<pw:vaultlike#POLICY_KEY>',
+                requestedSource: 'vaultlike',
+                servedBy: 'env',
+                fallback: true
+            })]);
+
+            delete process.env.POLICY_KEY;
+        });
+
+        test('should not fall back for strict placeholders', async () => {
+            process.env.POLICY_KEY = 'from-env';
+            await resolver.initialize();
+
+            await expect(resolver.resolveText('<pw:vaultlike!#POLICY_KEY>')).rejects.toThrow('strict mode');
+
+            delete process.env.POLICY_KEY;
+        });
+
+        test('should honor strict mode from config with per-placeholder override', async () => {
+            process.env.POLICY_KEY = 'from-env';
+            await resolver.initialize();
+            resolver.config.resolution = { mode: 'strict' };
+
+            await expect(resolver.resolveText('<pw:vaultlike#POLICY_KEY>')).rejects.toThrow('strict mode');
+            await expect(resolver.resolveText('<pw:vaultlike~#POLICY_KEY>')).resolves.toBe('from-env');
+
+            delete process.env.POLICY_KEY;
+        });
+
+        test('should honor strict sources from config', async () => {
+            await resolver.initialize();
+            resolver.config.resolution = { strictSources: ['vaultlike'] };
+
+            const resolved = await resolver.resolveText('<pw:vaultlike#POLICY_KEY|fallback-default>');
+
+            expect(resolved).toBe('fallback-default');
+            expect(resolver.getResolutionReport()[0].servedBy).toBe('default');
+        });
+    });
+
+    describe('Source Precedence and Chains', () => {
+        const values = {
+            primary: { ONLY_PRIMARY: 'primary-value' },
+            secondary: { ONLY_SECONDARY: 'secondary-value' }
+        };
+
+        beforeEach(() => {
+            const configPath = path.join(__dirname, 'fixtures', 'chain-config.json');
+            resolver = new ParamResolver(configPath);
+            for (const [name, entries] of Object.entries(values)) {
+                resolver.registerSource(name, () => ({
+                    resolve: async (key) => {
+                        if (!(key in entries)) {
+                            throw new Error(`${name} has no value for ${key}`);
+                        }
+                        return entries[key];
+                    }
+                }));
+            }
+        });
+
+        test('should use the configured precedence for fallback', async () => {
+            await resolver.initialize();
+
+            expect(resolver.getOrderedSourceNames('file')).toEqual(['file', 'primary', 'env']);
+        });
+
+        test('should resolve chains from their member sources only', async () => {
+            process.env.CHAIN_ENV_ONLY = 'env-value';
+            await resolver.initialize();
+
+            await expect(resolver.resolveText('<a:secure#ONLY_SECONDARY>')).resolves.toBe('secondary-value');
+            await expect(resolver.resolveText('<b:secure#CHAIN_ENV_ONLY>')).rejects.toThrow('strict mode');
+            await expect(resolver.resolveText('<c:secure~#CHAIN_ENV_ONLY>')).resolves.toBe('env-value');
+
+            const report = resolver.getResolutionReport();
+            expect(report.find(entry => entry.name === 'a')).toEqual(expect.objectContaining({
+                servedBy: 'secondary',
+                fallback: false
+            }));
+
+            delete process.env.CHAIN_ENV_ONLY;
+        });
+
+        test('should reject unknown source names at initialize time', async () => {
+            resolver = new ParamResolver(path.join(__dirname, 'fixtures', 'chain-config.json'));
+
+            await expect(resolver.initialize()).rejects.toThrow("resolution.precedence references unknown source 'primary'");
+        });
+    });
+
+    describe('Transformers', () => {
+        beforeEach(async () => {
+            const configPath = path.join(__dirname, 'fixtures', 'test-config.json');
+            resolver = new ParamResolver(configPath);
+            await resolver.initialize();
+        });
+
+        test('should parse transformer chain separately from default', () => {
+            const parsed = ParamResolver.parsePlaceholder('<t:aws#api:token|fallback | base64decode | trim>');
+            expect(parsed).toEqual({
+                name: 't',
+                source: 'aws',
+                key: 'api:token',
+                defaultValue: 'fallback',
+                transformers: [
+                    { name: 'base64decode', args: [] },
+                    { name: 'trim', args: [] }
+                ]
+            });
+        });
+
+        test('should apply transformers to resolved values', async () => {
+            process.env.ENCODED_TOKEN = Buffer.from('  secret-token \n').toString('base64');
+
+            const resolved = await resolver.resolveText('Token <t:env#ENCODED_TOKEN | base64decode | trim | upper>');
+
+            expect(resolved).toBe('Token SECRET-TOKEN');
+
+            delete process.env.ENCODED_TOKEN;
+        });
+
+        test('should use defaults verbatim', async () => {
+            const resolved = await resolver.resolveText('<t:env#MISSING_TOKEN|plain value | base64decode>');
+
+            expect(resolved).toBe('plain value');
+        });
+
+        test('should fail rather than use the default when a transformer fails', async () => {
+            process.env.NOT_BASE64 = 'not base64!';
+
+            await expect(resolver.resolveText('<t:env#NOT_BASE64|fallback | base64decode>'))
+                .rejects.toThrow('Failed to transform placeholder <t:env#NOT_BASE64|fallback | base64decode>: Transformer \'base64decode\' failed');
+
+            delete process.env.NOT_BASE64;
+        });
+
+        test('should apply registered custom transformers', async () => {
+            process.env.CUSTOM_TRANSFORM = 'abc';
+            resolver.registerTransformer('reverse', value => value.split('').reverse().join(''));
+
+            await expect(resolver.resolveText('<t:env#CUSTOM_TRANSFORM | reverse>')).resolves.toBe('cba');
+
+            delete process.env.CUSTOM_TRANSFORM;
+        });
+    });
+
+    describe('Concurrent Resolution', () => {
+        let calls;
+        let active;
+        let maxActive;
+
+        beforeEach(async () => {
+            calls = [];
+            active = 0;
+            maxActive = 0;
+            resolver = new ParamResolver(path.join(__dirname, 'fixtures', 'test-config.json'));
+            resolver.registerSource('slow', () => ({
+                resolve: async (key) => {
+                    calls.push(key);
+                    active++;
+                    maxActive = Math.max(maxActive, active);
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    active--;
+                    if (key.startsWith('missing')) {
+                        throw new Error(`no value for ${key}`);
+                    }
+                    return `value-${key}`;
+                }
+            }));
+            await resolver.initialize();
+        });
+
+        test('should resolve distinct placeholders concurrently up to the source limit', async () => {
+            resolver.config.sources.slow = { concurrency: 2 };
+
+            const resolved = await resolver.resolveText('<a:slow#1> <b:slow#2> <c:slow#3> <d:slow#4> <e:slow#5>');
+
+            expect(resolved).toBe('value-1 value-2 value-3 value-4 value-5');
+            expect(maxActive).toBe(2);
+        });
+
+        test('should share one request between identical in-flight lookups', async () => {
+            const resolved = await resolver.resolveText('<a:slow#token> <b:slow#token> <a:slow#token>');
+
+            expect(resolved).toBe('value-token value-token value-token');
+            expect(calls).toEqual(['token']);
+        });
+
+        test('should wait for referenced placeholders and report the first failure in order', async () => {
+            const resolved = await resolver.resolveText('<url:slow#${host}/api> <host:slow#example.com>');
+
+            expect(resolved).toBe('value-value-example.com/api value-example.com');
+            await expect(resolver.resolveText('<x:slow!#missing-1> <y:slow!#missing-2>'))
+                .rejects.toThrow('<x:slow!#missing-1>');
+        });
+    });
+
+    describe('Cache Policies', () => {
+        let lookups;
+
+        beforeEach(async () => {
+            lookups = [];
+            resolver = new ParamResolver(path.join(__dirname, 'fixtures', 'test-config.json'));
+            resolver.registerSource('counter', () => ({
+                resolve: async (key) => {
+                    lookups.push(key);
+                    return `${key}-${lookups.length}`;
+                }
+            }));
+            await resolver.initialize();
+        });
+
+        test('should refresh cached values at the points cache.refresh covers', async () => {
+            const resolveAt = async (refresh, point) => {
+                resolver.config.cache = { refresh };
+                await resolver.refreshCachesAt(point);
+                return resolver.resolveText('<v:counter#key>');
+            };
+
+            expect(await resolver.resolveText('<v:counter#key>')).toBe('key-1');
+            expect(await resolveAt('scenario', 'scenario')).toBe('key-2');
+            expect(await resolveAt('spec', 'scenario')).toBe('key-2');
+            expect(await resolveAt('spec', 'spec')).toBe('key-3');
+            expect(await resolveAt('never', 'spec')).toBe('key-3');
+        });
+
+        test('should apply cache.keyTtl and count hits and misses', async () => {
+            resolver.config.cache = { keyTtl: { 'counter#volatile*': 0 } };
+            resolver.configureCache();
+
+            await resolver.resolveText('<a:counter#stable> <b:counter#volatile/token>');
+            await resolver.resolveText('<a:counter#stable> <b:counter#volatile/token>');
+
+            expect(lookups).toEqual(['stable', 'volatile/token', 'volatile/token']);
+            expect(resolver.getCacheStats()[0]).toMatchObject({ name: 'resolver', hits: 1, misses: 3 });
+        });
+
+        test('should keep the TTL a source asks for unless its cacheTimeout is set', () => {
+            const vaultCache = resolver.createCache('vault', { name: 'vault', ttl: 300000 });
+            expect(vaultCache).toMatchObject({ name: 'vault', ttl: 300000 });
+            expect(resolver.createCache('k8s', { name: 'secrets', ttl: 120000 })).toMatchObject({ name: 'k8s.secrets', ttl: 120000 });
+
+            resolver.config.sources.vault = { ...resolver.config.sources.vault, cacheTimeout: 1000 };
+            expect(resolver.createCache('vault', { name: 'vault', ttl: 300000 }).ttl).toBe(1000);
+        });
+
+        test('should serve a stale value within cache.staleIfError when the source fails', async () => {
+            let failing = false;
+            resolver = new ParamResolver(path.join(__dirname, 'fixtures', 'test-config.json'));
+            resolver.registerSource('flaky', () => ({
+                resolve: async (key) => {
+                    if (failing) {
+                        throw new Error('connection reset');
+                    }
+                    return `${key}-value`;
+                }
+            }), { remote: true });
+            await resolver.initialize();
+            resolver.config.cache = { staleIfError: 300 };
+            resolver.configureCache();
+            const warn = jest.spyOn(resolver.logger, 'warn');
+
+            expect(await resolver.resolveText('<t:flaky!#token>')).toBe('token-value');
+            failing = true;
+            await resolver.refreshCaches();
+
+            expect(await resolver.resolveText('<t:flaky!#token>')).toBe('token-value');
+            expect(resolver.resolutionReport.get('<t:flaky!#token>')).toMatchObject({ servedBy: 'flaky', cached: true, stale: true });
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining("Serving a stale value for placeholder 't' from 'flaky'"));
+            await expect(resolver.resolveText('<u:flaky!#other>')).rejects.toThrow('connection reset');
+
+            resolver.config.cache = {};
+            resolver.configureCache();
+            await expect(resolver.resolveText('<t:flaky!#token>')).rejects.toThrow('connection reset');
+        });
+
+        test('should only serve stale values from remote sources', async () => {
+            let failing = false;
+            const source = () => ({
+                resolve: async (key) => {
+                    if (failing) {
+                        throw new Error('unavailable');
+                    }
+                    return `${key}-value`;
+                }
+            });
+            resolver = new ParamResolver(path.join(__dirname, 'fixtures', 'test-config.json'));
+            resolver.registerSource('local', source);
+            resolver.registerSource('optedin', source);
+            await resolver.initialize();
+            resolver.config.cache = { staleIfError: 300 };
+            resolver.config.sources.optedin = { remote: true };
+            resolver.configureCache();
+
+            await resolver.resolveText('<a:local!#key> <b:optedin!#key>');
+            failing = true;
+            await resolver.refreshCaches();
+
+            await expect(resolver.resolveText('<a:local!#key>')).rejects.toThrow('unavailable');
+            await expect(resolver.resolveText('<b:optedin!#key>')).resolves.toBe('key-value');
+        });
+    });
+
+    describe('Secret Masking', () => {
+        const createResolver = (sourceOptions = {}, configFile = 'test-config.json') => {
+            const configPath = path.join(__dirname, 'fixtures', configFile);
+            const secretResolver = new ParamResolver(configPath);
+            secretResolver.registerSource('store', () => ({
+                resolve: async (key) => {
+                    if (key === 'password') {
+                        return 'c29tZS1wYXNzd29yZA==';
+                    }
+                    throw new Error(`lookup failed with credentials c29tZS1wYXNzd29yZA== for ${key}`);
+                }
+            }), sourceOptions);
+            return secretResolver;
+        };
+
+        test('should mask values from secret sources in errors', async () => {
+            resolver = createResolver({ secret: true });
+            await resolver.initialize();
+
+            await expect(resolver.resolveText('<pw:store#password>')).resolves.toBe('c29tZS1wYXNzd29yZA==');
+            await expect(resolver.resolveText('<x:store!#other>')).rejects.toThrow('lookup failed with credentials **** for other');
+        });
+
+        test('should mask values derived from secrets by transformers', async () => {
+            resolver = createResolver({ secret: true });
+            await resolver.initialize();
+
+            await resolver.resolveText('<pw:store#password | base64decode>');
+
+            expect(resolver.mask('decoded some-password')).toBe('decoded ****');
+        });
+
+        test('should not mask values from non-secret sources', async () => {
+            resolver = createResolver();
+            await resolver.initialize();
+
+            await resolver.resolveText('<pw:store#password>');
+
+            expect(resolver.mask('c29tZS1wYXNzd29yZA==')).toBe('c29tZS1wYXNzd29yZA==');
+        });
+
+        test('should honor logging.maskSecrets', async () => {
+            resolver = createResolver({ secret: true }, 'no-mask-config.json');
+            await resolver.initialize();
+
+            await resolver.resolveText('<pw:store#password>');
+
+            expect(resolver.mask('c29tZS1wYXNzd29yZA==')).toBe('c29tZS1wYXNzd29yZA==');
+        });
+    });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ParamResolver = require('../src/resolver/ParamResolver');
+const PersistentCache = require('../src/cache/PersistentCache');
+
+describe('PersistentCache', () => {
+    let rootDir;
+
+    beforeEach(async () => {
+        rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gauge-external-params-cache-'));
+        process.env.GAUGE_EXTERNAL_PARAMS_CACHE_KEY = 'test-passphrase';
+    });
+
+    afterEach(async () => {
+        delete process.env.GAUGE_EXTERNAL_PARAMS_CACHE_KEY;
+        await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    test('should store values encrypted with per-source TTLs', async () => {
+        const cache = new PersistentCache({ ttl: 60, sourceTtl: { http: 0, file: 30 } }, rootDir);
+        cache.set('vault', 'secret/app:password', 'hunter2-secret');
+        cache.set('file', 'users.json#admin', 'root');
+        cache.set('http', 'https://api/token', 'skipped');
+        cache.set('env', 'HOME', 'skipped');
+        await cache.save();
+
+        const content = await fs.readFile(path.join(rootDir, '.gauge-external-params-cache.json'), 'utf8');
+        expect(content).not.toContain('hunter2-secret');
+        expect(content).not.toContain('secret/app');
+
+        const reloaded = new PersistentCache({}, rootDir);
+        await reloaded.load();
+        expect(reloaded.get('vault', 'secret/app:password').value).toBe('hunter2-secret');
+        expect(reloaded.list().map(entry => `${entry.source}#${entry.key}`)).toEqual(['file#users.json#admin', 'vault#secret/app:password']);
+
+        process.env.GAUGE_EXTERNAL_PARAMS_CACHE_KEY = 'wrong';
+        await expect(new PersistentCache({}, rootDir).load()).rejects.toThrow('check GAUGE_EXTERNAL_PARAMS_CACHE_KEY');
+    });
+
+    test('should serve source values across resolver runs until cleared', async () => {
+        const configPath = path.join(rootDir, 'gauge-external-params.json');
+        await fs.writeFile(configPath, JSON.stringify({
+            cache: { persistent: { enabled: true } },
+            logging: { level: 'silent' }
+        }));
+
+        let lookups = 0;
+        const run = async () => {
+            const resolver = new ParamResolver(configPath);
+            resolver.registerSource('remote', () => ({
+                resolve: async (key) => {
+                    lookups++;
+                    return `value-${key}`;
+                }
+            }));
+            await resolver.initialize();
+            const resolved = await resolver.resolveText('<token:remote#api>');
+            await resolver.cleanup();
+            return resolved;
+        };
+
+        expect(await run()).toBe('value-api');
+        expect(await run()).toBe('value-api');
+        expect(lookups).toBe(1);
+
+        const resolver = new ParamResolver(configPath);
+        expect((await resolver.listPersistentCache()).entries).toMatchObject([{ source: 'remote', key: 'api' }]);
+        const tempPath = path.join(rootDir, '.gauge-external-params-cache.json.1234.tmp');
+        await fs.writeFile(tempPath, '{}');
+        await resolver.clearPersistentCache();
+        await expect(fs.access(tempPath)).rejects.toThrow();
+        expect(await run()).toBe('value-api');
+        expect(lookups).toBe(2);
+    });
+});
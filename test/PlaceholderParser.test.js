@@ -0,0 +1,120 @@
+const PlaceholderParser = require('../src/parser/PlaceholderParser');
+const { PlaceholderSyntaxError } = require('../src/parser/PlaceholderParser');
+
+describe('PlaceholderParser', () => {
+    const parseOne = (text) => {
+        const { placeholders, errors } = PlaceholderParser.parse(text);
+        expect(errors).toEqual([]);
+        expect(placeholders).toHaveLength(1);
+        return placeholders[0];
+    };
+
+    test('should report line and column positions', () => {
+        const { placeholders } = PlaceholderParser.parse('# Spec\n* Login as <user:env#ADMIN_USER>');
+
+        expect(placeholders[0]).toEqual(expect.objectContaining({
+            name: 'user',
+            source: 'env',
+            key: 'ADMIN_USER',
+            line: 2,
+            column: 12
+        }));
+    });
+
+    test('should rebuild text from parts', () => {
+        const { parts } = PlaceholderParser.parse('a <x:env#X> b');
+
+        expect(parts[0]).toBe('a ');
+        expect(parts[1].fullMatch).toBe('<x:env#X>');
+        expect(parts[2]).toBe(' b');
+    });
+
+    test('should not match autolinks or HTML', () => {
+        const { placeholders, errors } = PlaceholderParser.parse('See <https://example.com/#top>, <mailto:a@b.c> and <a href="x:y#z">');
+
+        expect(placeholders).toEqual([]);
+        expect(errors).toEqual([]);
+    });
+
+    test('should leave placeholder-like text with unknown sources alone', () => {
+        const text = 'Markdown such as <a:b#c> stays text';
+        const { parts, placeholders, errors } = PlaceholderParser.parse(text);
+
+        expect(placeholders).toEqual([]);
+        expect(errors).toEqual([]);
+        expect(parts.join('')).toBe(text);
+        expect(PlaceholderParser.parse(text, { sources: ['b'] }).placeholders).toHaveLength(1);
+        expect(PlaceholderParser.parse(text, { sources: name => name === 'b' }).placeholders).toHaveLength(1);
+    });
+
+    test('should keep escaped placeholders as literal text', () => {
+        const { parts, placeholders } = PlaceholderParser.parse('Use \\<name:source#key> syntax');
+
+        expect(placeholders).toEqual([]);
+        expect(parts.join('')).toBe('Use <name:source#key> syntax');
+    });
+
+    test('should unescape special characters in keys and defaults', () => {
+        const placeholder = parseOne('<x:env#A\\|B|x \\> y>');
+
+        expect(placeholder.key).toBe('A|B');
+        expect(placeholder.defaultValue).toBe('x > y');
+    });
+
+    test('should accept quoted defaults with special characters', () => {
+        const placeholder = parseOne('<x:env#KEY|"a | b > c" | trim>');
+
+        expect(placeholder.defaultValue).toBe('a | b > c');
+        expect(placeholder.transformers).toEqual([{ name: 'trim', args: [] }]);
+    });
+
+    test('should accept an explicitly empty default', () => {
+        expect(parseOne('<x:env#KEY|"">').defaultValue).toBe('');
+    });
+
+    test('should keep JSON bodies in keys verbatim', () => {
+        const placeholder = parseOne('<t:http#POST:https://api.example.com/auth:{"q":"a|b>c"}#token>');
+
+        expect(placeholder.key).toBe('POST:https://api.example.com/auth:{"q":"a|b>c"}#token');
+        expect(placeholder.defaultValue).toBeUndefined();
+    });
+
+    test('should parse nested placeholders into key parts', () => {
+        const placeholder = parseOne('<cfg:vault#secret/<tenant:env#TENANT>:config>');
+
+        expect(placeholder.key).toBe('secret/<tenant:env#TENANT>:config');
+        expect(placeholder.keyParts[0]).toBe('secret/');
+        expect(placeholder.keyParts[1]).toEqual(expect.objectContaining({ name: 'tenant', key: 'TENANT' }));
+        expect(placeholder.keyParts[2]).toBe(':config');
+    });
+
+    test('should report unterminated placeholders with their position', () => {
+        const { placeholders, errors } = PlaceholderParser.parse('line one\n  <user:env#ADMIN_USER\n<ok:env#OK>');
+
+        expect(placeholders.map(placeholder => placeholder.name)).toEqual(['ok']);
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toBeInstanceOf(PlaceholderSyntaxError);
+        expect(errors[0].message).toBe('Unterminated placeholder, expected ">" at line 2, column 3');
+    });
+
+    test('should report empty defaults', () => {
+        const { errors } = PlaceholderParser.parse('<x:env#KEY|>');
+
+        expect(errors[0].reason).toBe('Empty default value, use "" for an empty string');
+    });
+
+    test('should report unterminated quoted values', () => {
+        const { errors } = PlaceholderParser.parse('<x:env#KEY|"abc>');
+
+        expect(errors[0].message).toBe('Unterminated quoted value at line 1, column 12');
+    });
+
+    test('should report unknown transformers instead of reading them as part of the default', () => {
+        const { placeholders, errors } = PlaceholderParser.parse('* Step\n  <x:env#A|b | c>');
+
+        expect(placeholders).toEqual([]);
+        expect(errors[0].message).toBe('Unknown transformer \'c\'. Quote the default if it contains " | " at line 2, column 16');
+        expect(parseOne('<x:env#A|"b | c">').defaultValue).toBe('b | c');
+        expect(parseOne('<x:env#A|b | trim>').transformers).toEqual([{ name: 'trim', args: [] }]);
+    });
+});
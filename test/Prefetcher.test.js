@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ParamResolver = require('../src/resolver/ParamResolver');
+const Prefetcher = require('../src/resolver/Prefetcher');
+const PersistentCache = require('../src/cache/PersistentCache');
+
+describe('Prefetcher', () => {
+    let rootDir;
+    let resolver;
+    let batches;
+    let lookups;
+
+    beforeEach(async () => {
+        rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gauge-external-params-prefetch-'));
+        await fs.mkdir(path.join(rootDir, 'specs', 'nested'), { recursive: true });
+
+        const configPath = path.join(rootDir, 'gauge-external-params.json');
+        await fs.writeFile(configPath, JSON.stringify({
+            sources: { env: { enabled: false }, file: { enabled: false }, http: { enabled: false } },
+            resolution: { mode: 'strict' },
+            logging: { level: 'silent' }
+        }));
+
+        batches = [];
+        lookups = [];
+        const secrets = { 'app:user': 'admin', 'app:password': 'hunter2', 'db:host': 'db.local', 'db.local/app:user': 'dsn' };
+        resolver = new ParamResolver(configPath);
+        resolver.registerSource('store', () => ({
+            resolve: async (key) => {
+                lookups.push(key);
+                if (!(key in secrets)) {
+                    throw new Error(`no value for ${key}`);
+                }
+                return secrets[key];
+            },
+            resolveBatch: async (keys) => {
+                batches.push(keys);
+                return new Map(keys.filter(key => key in secrets).map(key => [key, secrets[key]]));
+            }
+        }));
+        await resolver.initialize();
+    });
+
+    afterEach(async () => {
+        await resolver.cleanup();
+        delete process.env.GAUGE_EXTERNAL_PARAMS_CACHE_KEY;
+        await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    test('should batch static keys per source and keep the values across refreshes', async () => {
+        await fs.writeFile(path.join(rootDir, 'specs', 'login.spec'), '* Login as <user:store#app:user> with <pw:store#app:password>\n');
+        await fs.writeFile(path.join(rootDir, 'specs', 'nested', 'db.cpt'), '* Connect to <host:store#db:host> as <dsn:store#${host}/app:user>\n');
+
+        const result = await new Prefetcher(resolver, { projectRoot: rootDir }).run();
+
+        expect(result).toMatchObject({ files: 2, placeholders: 4, batched: 3 });
+        expect(batches).toHaveLength(1);
+        expect(batches[0].sort()).toEqual(['app:password', 'app:user', 'db:host']);
+        // Only the key built from a reference needed its own lookup
+        expect(lookups).toEqual(['db.local/app:user']);
+
+        await expect(resolver.resolveText('<pw:store#app:password>')).resolves.toBe('hunter2');
+        expect(lookups).toEqual(['db.local/app:user']);
+
+        await resolver.refreshCachesAt('spec');
+        await expect(resolver.resolveText('<pw:store#app:password>')).resolves.toBe('hunter2');
+        expect(lookups).toEqual(['db.local/app:user']);
+    });
+
+    test('should only batch keys missing from the persistent cache and persist the batch', async () => {
+        process.env.GAUGE_EXTERNAL_PARAMS_CACHE_KEY = 'test-passphrase';
+        resolver.persistentCache = new PersistentCache({}, rootDir);
+        resolver.persistentCache.set('store', 'app:user', 'admin');
+        await fs.writeFile(path.join(rootDir, 'specs', 'login.spec'), '* Login as <user:store#app:user> with <pw:store#app:password>\n');
+
+        await new Prefetcher(resolver, { projectRoot: rootDir }).run();
+
+        expect(batches).toEqual([['app:password']]);
+        expect(lookups).toEqual([]);
+        expect(resolver.persistentCache.get('store', 'app:password').value).toBe('hunter2');
+    });
+
+    test('should fail with every unresolved placeholder and its line', async () => {
+        await fs.writeFile(path.join(rootDir, 'specs', 'a.spec'), '# A\n* Step <missing:store#app:token>\n');
+        await fs.writeFile(path.join(rootDir, 'specs', 'nested', 'b.md'), '* Ok <user:store#app:user>\n* Bad <x:store#>\n* Gone <gone:store#db:name>\n');
+
+        const error = await new Prefetcher(resolver, { projectRoot: rootDir }).run().catch(caught => caught);
+
+        expect(error.name).toBe('UnresolvedPlaceholdersError');
+        expect(error.unresolved.map(entry => [path.relative(rootDir, entry.file), entry.line])).toEqual([
+            [path.join('specs', 'a.spec'), 2],
+            [path.join('specs', 'nested', 'b.md'), 2],
+            [path.join('specs', 'nested', 'b.md'), 3]
+        ]);
+        expect(error.message).toContain('3 unresolved placeholders in 2 files');
+    });
+});
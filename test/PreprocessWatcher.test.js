@@ -0,0 +1,122 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Preprocessor = require('../src/preprocessor/Preprocessor');
+const PreprocessWatcher = require('../src/preprocessor/PreprocessWatcher');
+
+describe('PreprocessWatcher', () => {
+    let rootDir;
+    let specDir;
+    let dataDir;
+    let outDir;
+    let configPath;
+    let watcher;
+
+    const writeData = async (admin) => {
+        const dataPath = path.join(dataDir, 'users.json');
+        await fs.writeFile(dataPath, JSON.stringify({ admin }));
+        // Make sure FileSource's mtime check sees every rewrite
+        const mtime = new Date(Date.now() + Math.floor(Math.random() * 100000));
+        await fs.utimes(dataPath, mtime, mtime);
+        return dataPath;
+    };
+
+    beforeEach(async () => {
+        rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gauge-external-params-watch-'));
+        specDir = path.join(rootDir, 'specs');
+        dataDir = path.join(rootDir, 'data');
+        outDir = path.join(rootDir, 'out');
+        await fs.mkdir(specDir);
+        await fs.mkdir(dataDir);
+
+        configPath = path.join(rootDir, 'gauge-external-params.json');
+        await fs.writeFile(configPath, JSON.stringify({
+            sources: { env: { enabled: true }, file: { enabled: true, basePath: dataDir } },
+            resolution: { mode: 'strict' },
+            logging: { level: 'silent' }
+        }));
+        await writeData('root');
+        await fs.writeFile(path.join(specDir, 'a.spec'), '* Login as <user:file#users.json#admin>\n');
+        await fs.writeFile(path.join(specDir, 'b.spec'), '* Static step\n');
+
+        watcher = new PreprocessWatcher(new Preprocessor(configPath), specDir, outDir);
+        await watcher.start();
+    });
+
+    afterEach(async () => {
+        await watcher.close();
+        await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    test('should re-resolve only the specs that use a changed data file', async () => {
+        expect(await fs.readFile(path.join(outDir, 'a.spec'), 'utf8')).toBe('* Login as root\n');
+
+        const dataPath = await writeData('admin');
+        const affected = await watcher.handleChanges([], [dataPath]);
+
+        expect(affected).toEqual([path.join(specDir, 'a.spec')]);
+        expect(await fs.readFile(path.join(outDir, 'a.spec'), 'utf8')).toBe('* Login as admin\n');
+    });
+
+    test('should re-resolve specs whose file placeholders fell back to a default or are nested', async () => {
+        const defaultPath = path.join(specDir, 'c.spec');
+        const nestedPath = path.join(specDir, 'd.spec');
+        await fs.writeFile(defaultPath, '* Role <role:file#users.json#role|guest>\n');
+        await fs.writeFile(nestedPath, '* Home <home:env#GAUGE_WATCH_<who:file#users.json#admin>|none>\n');
+        await watcher.handleChanges([defaultPath, nestedPath]);
+        expect(await fs.readFile(path.join(outDir, 'c.spec'), 'utf8')).toBe('* Role guest\n');
+
+        const dataPath = path.join(dataDir, 'users.json');
+        await fs.writeFile(dataPath, JSON.stringify({ admin: 'root', role: 'editor' }));
+        const mtime = new Date(Date.now() + 200000);
+        await fs.utimes(dataPath, mtime, mtime);
+        const affected = await watcher.handleChanges([], [dataPath]);
+
+        expect(affected.sort()).toEqual([path.join(specDir, 'a.spec'), defaultPath, nestedPath]);
+        expect(await fs.readFile(path.join(outDir, 'c.spec'), 'utf8')).toBe('* Role editor\n');
+    });
+
+    test('should watch only the spec dir and the directories of data files in use', async () => {
+        await fs.mkdir(path.join(specDir, 'node_modules', 'pkg'), { recursive: true });
+        await fs.mkdir(path.join(specDir, '.git'));
+        await fs.mkdir(path.join(dataDir, 'archive'));
+        await watcher.close();
+
+        watcher = new PreprocessWatcher(new Preprocessor(configPath), specDir, outDir);
+        await watcher.start();
+
+        expect([...watcher.watchers.keys()].sort()).toEqual([dataDir, specDir]);
+    });
+
+    test('should re-resolve changed specs and remove outputs of deleted ones', async () => {
+        const specPath = path.join(specDir, 'b.spec');
+
+        await fs.writeFile(specPath, '* Changed <user:file#users.json#admin>\n');
+        await watcher.handleChanges([specPath]);
+        expect(await fs.readFile(path.join(outDir, 'b.spec'), 'utf8')).toBe('* Changed root\n');
+
+        await fs.rm(specPath);
+        await watcher.handleChanges([specPath]);
+        await expect(fs.access(path.join(outDir, 'b.spec'))).rejects.toThrow();
+    });
+
+    test('should watch directories added below the spec dir', async () => {
+        const waitFor = async (filePath) => {
+            for (let attempt = 0; attempt < 100; attempt++) {
+                try {
+                    return await fs.readFile(filePath, 'utf8');
+                } catch (error) {
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                }
+            }
+            throw new Error(`${filePath} was not written`);
+        };
+
+        await fs.mkdir(path.join(specDir, 'nested'));
+        await new Promise(resolve => setTimeout(resolve, 200));
+        await fs.writeFile(path.join(specDir, 'nested', 'c.spec'), '* Nested <user:file#users.json#admin>\n');
+
+        expect(await waitFor(path.join(outDir, 'nested', 'c.spec'))).toBe('* Nested root\n');
+        expect(watcher.watchers.has(path.join(specDir, 'nested'))).toBe(true);
+    });
+});
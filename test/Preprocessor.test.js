@@ -0,0 +1,306 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Preprocessor = require('../src/preprocessor/Preprocessor');
+const { UnresolvedPlaceholdersError } = Preprocessor;
+
+describe('Preprocessor', () => {
+    let specDir;
+    let preprocessor;
+
+    beforeEach(async () => {
+        specDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gauge-external-params-'));
+        preprocessor = new Preprocessor(path.join(__dirname, 'fixtures', 'test-config.json'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(specDir, { recursive: true, force: true });
+    });
+
+    describe('Placeholder Statistics', () => {
+        test('should group placeholders by key and flag conflicting defaults', async () => {
+            await fs.writeFile(path.join(specDir, 'a.spec'), '* Login as <user:env#ADMIN_USER|admin>\n* Token <token:env#API_TOKEN>\n');
+            await fs.writeFile(path.join(specDir, 'b.spec'), '* Login as <user:env#ADMIN_USER|root>\n');
+
+            const stats = await preprocessor.getPlaceholderStatistics(specDir);
+
+            expect(stats.totalPlaceholders).toBe(3);
+            expect(stats.placeholdersByFile[path.join(specDir, 'a.spec')]).toBe(2);
+            expect(stats.placeholdersByKey[0]).toEqual(expect.objectContaining({
+                source: 'env',
+                key: 'ADMIN_USER',
+                count: 2
+            }));
+            expect(stats.conflictingDefaults).toHaveLength(1);
+            expect(stats.conflictingDefaults[0].defaults.map(variant => variant.value).sort()).toEqual(['admin', 'root']);
+        });
+
+        test('should count placeholders in concept and CSV files', async () => {
+            await fs.writeFile(path.join(specDir, 'steps.cpt'), '# Visit <city:env#PREPROCESS_CITY>\n');
+            await fs.writeFile(path.join(specDir, 'cities.csv'), 'name,city\nhome,<city:env#PREPROCESS_CITY>\n');
+            await fs.writeFile(path.join(specDir, 'notes.txt'), '<city:env#PREPROCESS_CITY>\n');
+
+            const stats = await preprocessor.getPlaceholderStatistics(specDir);
+
+            expect(stats.totalFiles).toBe(2);
+            expect(stats.totalPlaceholders).toBe(2);
+        });
+
+        test('should validate placeholders in concept and CSV files', async () => {
+            await fs.writeFile(path.join(specDir, 'steps.cpt'), '# Visit <city:env!#PREPROCESS_MISSING_CITY>\n');
+            await fs.writeFile(path.join(specDir, 'cities.csv'), 'name,city\nhome,<city:env!#PREPROCESS_MISSING_CITY>\n');
+
+            const results = await preprocessor.validateSpecs(specDir);
+
+            expect(results.totalFiles).toBe(2);
+            expect(results.errors.map(entry => [path.basename(entry.file), entry.line]).sort()).toEqual([
+                ['cities.csv', 2],
+                ['steps.cpt', 1]
+            ]);
+        });
+
+        test('should count placeholders that use chains declared in the config', async () => {
+            await fs.writeFile(path.join(specDir, 'a.spec'), '* Use <a:secure#FOO|x> <b:env#HOME>\n');
+
+            const stats = await new Preprocessor(path.join(__dirname, 'fixtures', 'chain-config.json'))
+                .getPlaceholderStatistics(specDir);
+
+            expect(stats.totalPlaceholders).toBe(2);
+            expect(stats.sourceTypes).toEqual({ secure: 1, env: 1 });
+        });
+    });
+
+    describe('File Handlers', () => {
+        let outDir;
+
+        beforeEach(async () => {
+            outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gauge-external-params-out-'));
+            process.env.PREPROCESS_CITY = 'Portland, OR';
+        });
+
+        afterEach(async () => {
+            await fs.rm(outDir, { recursive: true, force: true });
+            delete process.env.PREPROCESS_CITY;
+        });
+
+        test('should resolve concept files and CSV tables and copy other files', async () => {
+            await fs.writeFile(path.join(specDir, 'steps.cpt'), '# Visit <city:env#PREPROCESS_CITY>\n* Go\n');
+            await fs.writeFile(path.join(specDir, 'cities.csv'), 'name,city\nhome,<city:env#PREPROCESS_CITY>\n');
+            await fs.writeFile(path.join(specDir, 'notes.txt'), '<city:env#PREPROCESS_CITY>\n');
+
+            await preprocessor.processDirectory(specDir, outDir);
+
+            expect(await fs.readFile(path.join(outDir, 'steps.cpt'), 'utf8')).toBe('# Visit Portland, OR\n* Go\n');
+            expect(await fs.readFile(path.join(outDir, 'cities.csv'), 'utf8')).toBe('name,city\nhome,"Portland, OR"\n');
+            expect(await fs.readFile(path.join(outDir, 'notes.txt'), 'utf8')).toBe('<city:env#PREPROCESS_CITY>\n');
+        });
+    });
+
+    describe('Incremental Preprocessing', () => {
+        let outDir;
+
+        beforeEach(async () => {
+            outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gauge-external-params-out-'));
+            process.env.INCREMENTAL_USER = 'alice';
+            await fs.writeFile(path.join(specDir, 'a.spec'), '* Login as <user:env#INCREMENTAL_USER>\n');
+            await fs.writeFile(path.join(specDir, 'b.spec'), '* Static step\n');
+        });
+
+        afterEach(async () => {
+            await fs.rm(outDir, { recursive: true, force: true });
+            delete process.env.INCREMENTAL_USER;
+        });
+
+        test('should skip outputs whose source and values are unchanged', async () => {
+            expect(await preprocessor.processDirectory(specDir, outDir)).toMatchObject({ written: 2, skipped: 0, removed: 0 });
+            expect(await preprocessor.processDirectory(specDir, outDir)).toMatchObject({ written: 0, skipped: 2, removed: 0 });
+            expect(await preprocessor.processDirectory(specDir, outDir, { force: true })).toMatchObject({ written: 2, skipped: 0, removed: 0 });
+
+            const manifest = await fs.readFile(path.join(outDir, '.gauge-external-params-manifest.json'), 'utf8');
+            expect(manifest).not.toContain('alice');
+            expect(JSON.parse(manifest).files['a.spec']).toEqual({
+                hash: expect.any(String),
+                handler: 'text',
+                output: expect.any(String)
+            });
+        });
+
+        test('should rewrite outputs when a referenced value or the source changes', async () => {
+            await preprocessor.processDirectory(specDir, outDir);
+
+            process.env.INCREMENTAL_USER = 'bob';
+            expect(await preprocessor.processDirectory(specDir, outDir)).toMatchObject({ written: 1, skipped: 1, removed: 0 });
+            expect(await fs.readFile(path.join(outDir, 'a.spec'), 'utf8')).toBe('* Login as bob\n');
+
+            await fs.writeFile(path.join(specDir, 'b.spec'), '* Changed step\n');
+            expect(await preprocessor.processDirectory(specDir, outDir)).toMatchObject({ written: 1, skipped: 1, removed: 0 });
+            expect(await fs.readFile(path.join(outDir, 'b.spec'), 'utf8')).toBe('* Changed step\n');
+        });
+
+        test('should remove outputs of deleted sources', async () => {
+            await fs.writeFile(path.join(outDir, 'unrelated.txt'), 'keep me');
+            await preprocessor.processDirectory(specDir, outDir);
+            await fs.rm(path.join(specDir, 'b.spec'));
+
+            expect(await preprocessor.processDirectory(specDir, outDir)).toMatchObject({ written: 0, skipped: 1, removed: 1 });
+            await expect(fs.access(path.join(outDir, 'b.spec'))).rejects.toThrow();
+            expect(await fs.readFile(path.join(outDir, 'unrelated.txt'), 'utf8')).toBe('keep me');
+        });
+    });
+
+    describe('Error Policy', () => {
+        let outDir;
+
+        beforeEach(async () => {
+            outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gauge-external-params-out-'));
+            process.env.POLICY_USER = 'alice';
+            await fs.writeFile(path.join(specDir, 'a.spec'), '# A\n* Login as <user:env#POLICY_USER>\n');
+            await fs.writeFile(path.join(specDir, 'b.spec'), '# B\n* Token <token:env#POLICY_MISSING_TOKEN>\n* Key <key:env#POLICY_MISSING_KEY>\n');
+        });
+
+        afterEach(async () => {
+            await fs.rm(outDir, { recursive: true, force: true });
+            delete process.env.POLICY_USER;
+        });
+
+        test('should fail by default listing every unresolved placeholder with its line', async () => {
+            const error = await preprocessor.processDirectory(specDir, outDir).catch(caught => caught);
+
+            expect(error).toBeInstanceOf(UnresolvedPlaceholdersError);
+            expect(error.unresolved.map(entry => [path.basename(entry.file), entry.line, entry.placeholder])).toEqual([
+                ['b.spec', 2, '<token:env#POLICY_MISSING_TOKEN>'],
+                ['b.spec', 3, '<key:env#POLICY_MISSING_KEY>']
+            ]);
+            expect(error.message).toContain(`2 unresolved placeholders in 1 file:\n  ${path.join(specDir, 'b.spec')}:2: `);
+            expect(await fs.readFile(path.join(outDir, 'a.spec'), 'utf8')).toBe('# A\n* Login as alice\n');
+            await expect(fs.access(path.join(outDir, 'b.spec'))).rejects.toThrow();
+        });
+
+        test('should copy the unresolved original with copy-original', async () => {
+            const result = await preprocessor.processDirectory(specDir, outDir, { errorPolicy: 'copy-original' });
+
+            expect(result.unresolved).toHaveLength(2);
+            expect(await fs.readFile(path.join(outDir, 'b.spec'), 'utf8')).toContain('<token:env#POLICY_MISSING_TOKEN>');
+        });
+
+        test('should remove outputs of earlier runs for files that now fail', async () => {
+            process.env.POLICY_MISSING_TOKEN = 'token';
+            process.env.POLICY_MISSING_KEY = 'key';
+            await preprocessor.processDirectory(specDir, outDir);
+            expect(await fs.readFile(path.join(outDir, 'b.spec'), 'utf8')).toBe('# B\n* Token token\n* Key key\n');
+
+            delete process.env.POLICY_MISSING_TOKEN;
+            delete process.env.POLICY_MISSING_KEY;
+            await expect(preprocessor.processDirectory(specDir, outDir)).rejects.toThrow('2 unresolved placeholders');
+            await expect(fs.access(path.join(outDir, 'b.spec'))).rejects.toThrow();
+        });
+
+        test('should apply the policy to dry runs', async () => {
+            const error = await preprocessor.processDirectory(specDir, outDir, { dryRun: true }).catch(caught => caught);
+
+            expect(error.name).toBe('UnresolvedPlaceholdersError');
+            expect(error.unresolved).toHaveLength(2);
+            expect(error.preview.files.map(file => path.basename(file.sourcePath))).toEqual(['a.spec']);
+
+            const preview = await preprocessor.processDirectory(specDir, outDir, { dryRun: true, errorPolicy: 'copy-original' });
+            expect(preview.totalFiles).toBe(2);
+        });
+
+        test('should reject unknown policies', async () => {
+            await expect(preprocessor.processDirectory(specDir, outDir, { errorPolicy: 'ignore' }))
+                .rejects.toThrow("Invalid error policy 'ignore'. Supported: fail-fast, collect, copy-original");
+        });
+    });
+
+    describe('In-Place Preprocessing', () => {
+        let backupDir;
+
+        beforeEach(async () => {
+            backupDir = path.join(os.tmpdir(), `gauge-external-params-backup-${process.pid}-${Date.now()}`);
+            process.env.IN_PLACE_USER = 'alice';
+            await fs.writeFile(path.join(specDir, 'a.spec'), '* Login as <user:env#IN_PLACE_USER>\n');
+            await fs.writeFile(path.join(specDir, 'notes.txt'), 'untouched\n');
+        });
+
+        afterEach(async () => {
+            await fs.rm(backupDir, { recursive: true, force: true });
+            delete process.env.IN_PLACE_USER;
+            jest.restoreAllMocks();
+        });
+
+        test('should rewrite specs in place and restore the originals', async () => {
+            const result = await preprocessor.processInPlace(specDir, { backupDir });
+
+            expect(result.files).toEqual(['a.spec']);
+            expect(await fs.readFile(path.join(specDir, 'a.spec'), 'utf8')).toBe('* Login as alice\n');
+            await expect(preprocessor.processInPlace(specDir, { backupDir })).rejects.toThrow('already preprocessed in place');
+
+            expect(Preprocessor.restoreInPlace(backupDir)).toEqual([path.join(specDir, 'a.spec')]);
+            expect(await fs.readFile(path.join(specDir, 'a.spec'), 'utf8')).toBe('* Login as <user:env#IN_PLACE_USER>\n');
+            await expect(fs.access(backupDir)).rejects.toThrow();
+        });
+
+        test('should restore the originals when placeholders are unresolved', async () => {
+            await fs.writeFile(path.join(specDir, 'b.spec'), '* Token <token:env#IN_PLACE_MISSING>\n');
+
+            await expect(preprocessor.processInPlace(specDir, { backupDir })).rejects.toThrow(UnresolvedPlaceholdersError);
+
+            expect(await fs.readFile(path.join(specDir, 'a.spec'), 'utf8')).toBe('* Login as <user:env#IN_PLACE_USER>\n');
+            await expect(fs.access(backupDir)).rejects.toThrow();
+        });
+
+        test('should restore the originals on SIGTERM', async () => {
+            const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+            let contentAtExit = null;
+            preprocessor.paramResolver.registerSource('interrupt', () => ({
+                resolve: async () => {
+                    process.emit('SIGTERM', 'SIGTERM');
+                    contentAtExit = require('fs').readFileSync(path.join(specDir, 'a.spec'), 'utf8');
+                    return 'value';
+                }
+            }));
+            await fs.writeFile(path.join(specDir, 'b.spec'), '* Slow <slow:interrupt#key>\n');
+
+            await preprocessor.processInPlace(specDir, { backupDir });
+
+            expect(exit).toHaveBeenCalledWith(143);
+            expect(contentAtExit).toBe('* Login as <user:env#IN_PLACE_USER>\n');
+        });
+    });
+
+    describe('Dry Run and Diff', () => {
+        beforeEach(() => {
+            process.env.PREVIEW_USER = 'alice';
+        });
+
+        afterEach(() => {
+            delete process.env.PREVIEW_USER;
+        });
+
+        test('should list changed lines and diffs without writing output', async () => {
+            const outDir = path.join(specDir, 'out');
+            await fs.writeFile(path.join(specDir, 'a.spec'), '# Spec\n* Login as <user:env#PREVIEW_USER>\n* Done\n');
+            await fs.writeFile(path.join(specDir, 'b.spec'), '# Plain\n');
+
+            const preview = await preprocessor.processDirectory(specDir, outDir, { dryRun: true, diff: true });
+
+            expect(preview.totalFiles).toBe(2);
+            expect(preview.files).toHaveLength(1);
+            expect(preview.files[0].lines).toEqual([{ line: 2, text: '* Login as <user:env#PREVIEW_USER>' }]);
+            expect(preview.files[0].diff).toContain('-* Login as <user:env#PREVIEW_USER>\n+* Login as alice\n');
+            await expect(fs.access(outDir)).rejects.toThrow();
+        });
+
+        test('should mask secret values in the diff', async () => {
+            preprocessor.paramResolver.registerSource('secure', () => ({
+                resolve: async () => 'hunter2-secret'
+            }), { secret: true });
+            await fs.writeFile(path.join(specDir, 'a.spec'), '* Password <pw:secure#db>\n');
+
+            const preview = await preprocessor.processDirectory(specDir, path.join(specDir, 'out'), { diff: true });
+
+            expect(preview.files[0].diff).toContain('+* Password ****\n');
+            expect(preview.files[0].diff).not.toContain('hunter2-secret');
+        });
+    });
+});
@@ -0,0 +1,113 @@
+const path = require('path');
+const ParamResolver = require('../src/resolver/ParamResolver');
+const ProtoMessageResolver = require('../src/resolver/ProtoMessageResolver');
+
+describe('ProtoMessageResolver', () => {
+    let paramResolver;
+    let messageResolver;
+
+    beforeEach(async () => {
+        process.env.PROTO_USER = 'alice';
+        process.env.PROTO_TENANT = 'acme';
+        paramResolver = new ParamResolver(path.join(__dirname, 'fixtures', 'test-config.json'));
+        await paramResolver.initialize();
+        messageResolver = new ProtoMessageResolver(paramResolver);
+    });
+
+    afterEach(async () => {
+        await paramResolver.cleanup();
+        delete process.env.PROTO_USER;
+        delete process.env.PROTO_TENANT;
+    });
+
+    const table = (headers, ...rows) => ({
+        headers: { cells: headers },
+        rows: rows.map(cells => ({ cells }))
+    });
+
+    test('should resolve parameter values and data table rows in a step', async () => {
+        const step = {
+            actualText: 'Login as <user:env#PROTO_USER> with table',
+            parsedText: 'Login as {} with table',
+            fragments: [
+                { fragmentType: 'Text', text: 'Login as ' },
+                { fragmentType: 'Parameter', parameter: { parameterType: 'Static', value: '<user:env#PROTO_USER>' } },
+                {
+                    fragmentType: 'Parameter',
+                    parameter: {
+                        parameterType: 'Table',
+                        table: table(['<h:env#PROTO_USER>', 'tenant'], ['<u:env#PROTO_USER>', '<t:env#PROTO_TENANT>'])
+                    }
+                }
+            ],
+            dataTable: table(['user'], ['<u:env#PROTO_USER>'])
+        };
+
+        await messageResolver.resolveStep(step);
+
+        expect(step.actualText).toBe('Login as alice with table');
+        expect(step.fragments[1].parameter.value).toBe('alice');
+        expect(step.fragments[2].parameter.table.rows[0].cells).toEqual(['alice', 'acme']);
+        expect(step.fragments[2].parameter.table.headers.cells[0]).toBe('<h:env#PROTO_USER>');
+        expect(step.dataTable.rows[0].cells).toEqual(['alice']);
+    });
+
+    test('should resolve headings, concept steps and table rows in a spec', async () => {
+        const spec = {
+            specHeading: 'Tenant <t:env#PROTO_TENANT>',
+            dataTable: table(['user'], ['<u:env#PROTO_USER>']),
+            items: [
+                {
+                    itemType: 'Scenario',
+                    scenario: {
+                        scenarioHeading: 'Login for <t:env#PROTO_TENANT>',
+                        scenarioItems: [
+                            {
+                                itemType: 'Concept',
+                                concept: {
+                                    conceptStep: 'Sign in as <u:env#PROTO_USER>',
+                                    steps: [{ itemType: 'Step', step: { actualText: 'Type <u:env#PROTO_USER>' } }]
+                                }
+                            }
+                        ],
+                        tearDownSteps: [{ itemType: 'Step', step: { actualText: 'Logout <u:env#PROTO_USER>' } }]
+                    }
+                }
+            ]
+        };
+
+        await messageResolver.resolveSpec(spec);
+
+        const scenario = spec.items[0].scenario;
+        const concept = scenario.scenarioItems[0].concept;
+        expect(spec.specHeading).toBe('Tenant acme');
+        expect(spec.dataTable.rows[0].cells).toEqual(['alice']);
+        expect(scenario.scenarioHeading).toBe('Login for acme');
+        expect(concept.conceptStep).toBe('Sign in as alice');
+        expect(concept.steps[0].step.actualText).toBe('Type alice');
+        expect(scenario.tearDownSteps[0].step.actualText).toBe('Logout alice');
+    });
+
+    test('should resolve only the heading and data table of a spec header', async () => {
+        const spec = {
+            specHeading: 'Tenant <t:env#PROTO_TENANT>',
+            dataTable: table(['user'], ['<u:env#PROTO_USER>']),
+            items: [{ itemType: 'Step', step: { actualText: 'Use <x:env#PROTO_MISSING_VALUE>' } }]
+        };
+
+        await messageResolver.resolveSpecHeader(spec);
+
+        expect(spec.specHeading).toBe('Tenant acme');
+        expect(spec.dataTable.rows[0].cells).toEqual(['alice']);
+        expect(spec.items[0].step.actualText).toBe('Use <x:env#PROTO_MISSING_VALUE>');
+    });
+
+    test('should surface resolution failures', async () => {
+        const step = {
+            actualText: 'Plain step',
+            dataTable: table(['token'], ['<t:env#PROTO_MISSING_TOKEN>'])
+        };
+
+        await expect(messageResolver.resolveStep(step)).rejects.toThrow('Failed to resolve required placeholder <t:env#PROTO_MISSING_TOKEN>');
+    });
+});
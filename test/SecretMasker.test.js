@@ -0,0 +1,55 @@
+const SecretMasker = require('../src/logging/SecretMasker');
+
+describe('SecretMasker', () => {
+    let masker;
+
+    beforeEach(() => {
+        masker = new SecretMasker();
+    });
+
+    test('should redact tracked values', () => {
+        masker.track('hunter22');
+
+        expect(masker.mask('password is hunter22, again hunter22')).toBe('password is ****, again ****');
+    });
+
+    test('should mask longer secrets before ones they contain', () => {
+        masker.track('abcd');
+        masker.track('abcdefgh');
+
+        expect(masker.mask('x abcdefgh y')).toBe('x **** y');
+    });
+
+    test('should escape regex characters in secrets', () => {
+        masker.track('a.b*c(d)');
+
+        expect(masker.mask('a.b*c(d) axbbc(d)')).toBe('**** axbbc(d)');
+    });
+
+    test('should ignore values shorter than the minimum length', () => {
+        masker.track('abc');
+
+        expect(masker.mask('abc')).toBe('abc');
+    });
+
+    test('should mask each line of multi-line secrets', () => {
+        masker.track('-----BEGIN KEY-----\nMIIBOgIBAAJBAK\n-----END KEY-----');
+
+        expect(masker.mask('bad line: MIIBOgIBAAJBAK')).toBe('bad line: ****');
+    });
+
+    test('should leave text untouched when disabled', () => {
+        masker.track('hunter22');
+        masker.setEnabled(false);
+
+        expect(masker.mask('hunter22')).toBe('hunter22');
+    });
+
+    test('should mask error messages in place', () => {
+        masker.track('hunter22');
+        const error = masker.maskError(new Error('rejected hunter22'));
+
+        expect(error.message).toBe('rejected ****');
+        expect(error.stack).not.toContain('hunter22');
+    });
+});
@@ -0,0 +1,52 @@
+const TextDiff = require('../src/preprocessor/TextDiff');
+
+describe('TextDiff', () => {
+    const lines = count => Array.from({ length: count }, (_, index) => `line ${index + 1}`).join('\n') + '\n';
+
+    test('should report the original line numbers that change', () => {
+        const original = lines(6);
+        const updated = original.replace('line 2\n', 'line two\n').replace('line 5\n', 'line 5\nextra\n');
+
+        expect(TextDiff.changedLines(original, updated)).toEqual([2, 5]);
+        expect(TextDiff.changedLines(original, original)).toEqual([]);
+    });
+
+    test('should render unified diff hunks with context like diff -u', () => {
+        const original = lines(15);
+        const updated = original.replace('line 2\n', 'line two\n').replace('line 14\n', 'line 14\nnew\n');
+
+        expect(TextDiff.unified(original, updated, { fromFile: 'specs/a.spec', toFile: 'out/a.spec' })).toBe([
+            '--- specs/a.spec',
+            '+++ out/a.spec',
+            '@@ -1,5 +1,5 @@',
+            ' line 1',
+            '-line 2',
+            '+line two',
+            ' line 3',
+            ' line 4',
+            ' line 5',
+            '@@ -12,4 +12,5 @@',
+            ' line 12',
+            ' line 13',
+            ' line 14',
+            '+new',
+            ' line 15',
+            ''
+        ].join('\n'));
+    });
+
+    test('should diff large data tables without a table of every line pair', () => {
+        const original = lines(20000);
+        const edges = original.replace('line 1\n', 'first\n').replace('line 20000\n', 'last\n');
+        const everyThird = original.split('\n').map((line, index) => (index % 3 === 0 && line ? `${line}!` : line)).join('\n');
+
+        expect(TextDiff.changedLines(original, edges)).toEqual([1, 20000]);
+        // Past the edit limit lines are compared one to one
+        expect(TextDiff.changedLines(original, everyThird)).toHaveLength(6667);
+    });
+
+    test('should handle empty sides and identical input', () => {
+        expect(TextDiff.unified('', 'added\n')).toBe('--- a\n+++ b\n@@ -0,0 +1,1 @@\n+added\n');
+        expect(TextDiff.unified('same\r\n', 'same\n')).toBe('');
+    });
+});
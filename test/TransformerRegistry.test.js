@@ -0,0 +1,48 @@
+const TransformerRegistry = require('../src/transformers/TransformerRegistry');
+
+describe('TransformerRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = TransformerRegistry.withBuiltins();
+    });
+
+    test('should parse a transformer chain with arguments', () => {
+        expect(TransformerRegistry.parseChain(' base64decode | substring(0, 8) | json(data.token)')).toEqual([
+            { name: 'base64decode', args: [] },
+            { name: 'substring', args: ['0', '8'] },
+            { name: 'json', args: ['data.token'] }
+        ]);
+    });
+
+    test('should reject invalid transformer segments', () => {
+        expect(() => TransformerRegistry.parseChain('trim | not valid')).toThrow("Invalid transformer 'not valid'");
+    });
+
+    test('should apply built-in transformers in order', async () => {
+        const encoded = Buffer.from('  {"data":{"token":"abcdef123"}}  ').toString('base64');
+
+        const value = await registry.apply(encoded, TransformerRegistry.parseChain('base64decode | trim | json(data.token) | substring(0, 6) | upper'));
+
+        expect(value).toBe('ABCDEF');
+    });
+
+    test('should url-encode and decode values', async () => {
+        await expect(registry.apply('a b&c', [{ name: 'urlencode', args: [] }])).resolves.toBe('a%20b%26c');
+        await expect(registry.apply('a%20b', [{ name: 'urldecode', args: [] }])).resolves.toBe('a b');
+    });
+
+    test('should report unknown transformers', async () => {
+        await expect(registry.apply('value', [{ name: 'reverse', args: [] }])).rejects.toThrow("Unknown transformer 'reverse'");
+    });
+
+    test('should apply custom transformers', async () => {
+        registry.register('reverse', value => value.split('').reverse().join(''));
+
+        await expect(registry.apply('abc', [{ name: 'reverse', args: [] }])).resolves.toBe('cba');
+    });
+
+    test('should wrap transformer errors with the transformer name', async () => {
+        await expect(registry.apply('not json', [{ name: 'json', args: ['a'] }])).rejects.toThrow("Transformer 'json' failed: Value is not valid JSON");
+    });
+});
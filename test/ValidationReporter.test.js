@@ -0,0 +1,55 @@
+const ValidationReporter = require('../src/reporters/ValidationReporter');
+
+describe('ValidationReporter', () => {
+    const results = {
+        specDir: 'specs',
+        totalFiles: 2,
+        processedFiles: 1,
+        totalPlaceholders: 3,
+        files: [
+            { file: 'specs/ok.spec', placeholders: 1, errors: [], duration: 5 },
+            {
+                file: 'specs/bad.spec',
+                placeholders: 2,
+                errors: [{ file: 'specs/bad.spec', placeholder: '<pw:vault#db:password>', line: 3, error: 'Secret not found' }],
+                duration: 12
+            }
+        ],
+        errors: [{ file: 'specs/bad.spec', placeholder: '<pw:vault#db:password>', line: 3, error: 'Secret not found' }],
+        warnings: []
+    };
+
+    test('should reject unknown formats', () => {
+        expect(() => new ValidationReporter('html')).toThrow('Unsupported report format');
+    });
+
+    test('should render text summary with failing placeholders', () => {
+        const output = new ValidationReporter('text').render(results);
+
+        expect(output).toContain('✓ specs/ok.spec');
+        expect(output).toContain('✗ specs/bad.spec');
+        expect(output).toContain('line 3: <pw:vault#db:password> - Secret not found');
+        expect(output).toContain('Placeholders: 3, unresolved: 1, served by fallback: 0');
+    });
+
+    test('should render JSON report', () => {
+        const report = JSON.parse(new ValidationReporter('json').render(results));
+
+        expect(report.success).toBe(false);
+        expect(report.summary).toEqual({
+            totalFiles: 2,
+            passedFiles: 1,
+            failedFiles: 1,
+            totalPlaceholders: 3,
+            unresolvedPlaceholders: 1
+        });
+    });
+
+    test('should render one JUnit test case per spec file', () => {
+        const output = new ValidationReporter('junit').render(results);
+
+        expect(output).toContain('tests="2" failures="1"');
+        expect(output).toContain('<testcase classname="specs" name="specs/ok.spec" time="0.005"/>');
+        expect(output).toContain('line 3: &lt;pw:vault#db:password&gt; - Secret not found</failure>');
+    });
+});
@@ -0,0 +1,19 @@
+class CustomSource {
+    constructor(config = {}) {
+        this.config = config;
+        this.values = config.values || {};
+    }
+
+    async initialize() {
+        return Promise.resolve();
+    }
+
+    async resolve(key) {
+        if (!(key in this.values)) {
+            throw new Error(`CustomSource has no value for key '${key}'`);
+        }
+        return this.values[key];
+    }
+}
+
+module.exports = CustomSource;